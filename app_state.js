@@ -0,0 +1,292 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// app_state.js
+// Small shared store for the page-wide view state, with typed change events.
+// Every script publishes through the setters below and subscribes with
+// appState.on(type, listener) instead of polling DOM values or calling each
+// other's window hooks. It is also exposed as window.appState so third-party
+// widgets can listen in (use a namespace, e.g. "yearchange.myWidget").
+//
+// Events (listener receives one detail object):
+//   yearchange        { year, previous, source }
+//   filterchange      { activeDisasters: Set, previous: Set, source }
+//   prefectureselect  { prefecture: { norm, name } | null, previous, source }
+//   palettechange     { palette, previous, source }
+//   viewchange        { view: { zoom, center: [x, y] }, previous, source }
+//   timewindowchange  { timeWindow: { mode, start }, previous, source }
+//                     mode: "year" (selected year only) | "range" ([start, year])
+//                     | "cumulative" (everything up to the selected year)
+//   eventfilterchange { eventFilter, previous, source }
+//                     eventFilter: { excludedSubtypes: { [hazard]: [subtype] },
+//                     minDeaths, minDamage, excludeImputed } – applied on top
+//                     of activeDisasters (see event_filters.js)
+//   eventfocus        { event: row | null, previous, source }
+//                     event is a row object from loadDisasterEvents() (the rows
+//                     are shared, so listeners can compare by identity)
+//   colormodechange   { colorMode, previous, source }
+//                     colorMode: what the prefecture fills show – "risk" (the
+//                     risk choropleth) | "change" (change in risk against
+//                     changeBaseline) | "bivariate" (human against economic
+//                     burden, 3 × 3) | "region" (regions / main islands)
+//   aggregationchange { aggregation, previous, source }
+//                     aggregation: level the risk shading, prefecture tooltip
+//                     and detail series are shown at – "prefecture" | "region"
+//                     | "island" (see risk_aggregation.js)
+//   comparisonchange  { comparison: [{ norm, name }], previous, source }
+//                     prefectures compared in the detail panel (shift-click,
+//                     see detail_compare.js); empty = single-prefecture detail
+//   riskmodelchange   { riskModel, previous, source }
+//                     riskModel: { deathWeight, humanWeight, halfLife,
+//                     blendWeight } – coefficients of the risk index (H_evt =
+//                     … + deathWeight·deaths, R_raw = humanWeight·H* +
+//                     (1 − humanWeight)·logE*, decay half-life in years and
+//                     R_final = (1 − blendWeight)·R_year + blendWeight·R_cum*);
+//                     risk_profile.js recomputes the index (see risk_model.js)
+//   classificationchange { classification, previous, source }
+//                     classification: how risk values map to colors –
+//                     "quantile" | "year-quantile" | "equal" | "jenks" |
+//                     "continuous" (see risk_classes.js)
+//   changebaselinechange { changeBaseline, previous, source }
+//                     changeBaseline: { mode, year } – what colorMode "change"
+//                     compares each year with: "previous" (the year before) |
+//                     "year" (the reference `year`) | "mean" (the prefecture's
+//                     mean over all years)
+//
+// `source` is a short tag ("slider", "autoplay", "map", ...) so listeners can
+// ignore changes they published themselves.
+//
+// activeDisasters, palette and view start out null ("not chosen yet") so the
+// owning script can tell a restored value (e.g. from the URL) from its default.
+
+export const EVENT_TYPES = ["yearchange", "filterchange", "prefectureselect", "palettechange", "viewchange", "timewindowchange", "eventfilterchange", "eventfocus", "colormodechange", "aggregationchange", "comparisonchange", "riskmodelchange", "classificationchange", "changebaselinechange"];
+
+export const TIME_MODES = ["year", "range", "cumulative"];
+
+export const COLOR_MODES = ["risk", "change", "bivariate", "region"];
+
+export const AGGREGATIONS = ["prefecture", "region", "island"];
+
+export const COMPARE_LIMIT = 6;
+
+export const CLASSIFICATIONS = ["quantile", "year-quantile", "equal", "jenks", "continuous"];
+
+export const CHANGE_BASELINES = ["previous", "year", "mean"];
+export const CHANGE_REFERENCE_YEAR = 1995; // Great Hanshin earthquake
+
+// Coefficients of the published risk CSV (risk_payload_WITH_DECAY.json)
+export const RISK_MODEL_DEFAULTS = Object.freeze({ deathWeight: 10, humanWeight: 0.7, halfLife: 3, blendWeight: 0.5 });
+export const DEATH_WEIGHT_MAX = 100;
+export const HALF_LIFE_RANGE = [0.5, 20]; // years
+
+const dispatch = d3.dispatch(...EVENT_TYPES);
+
+const state = {
+  year: 1960,
+  activeDisasters: null,
+  prefecture: null,
+  palette: null,
+  view: null,
+  timeWindow: { mode: "year", start: null },
+  eventFilter: { excludedSubtypes: {}, minDeaths: 0, minDamage: 0, excludeImputed: false },
+  focusedEvent: null,
+  colorMode: "risk",
+  aggregation: "prefecture",
+  comparison: [],
+  riskModel: { ...RISK_MODEL_DEFAULTS },
+  classification: "quantile",
+  changeBaseline: { mode: "previous", year: CHANGE_REFERENCE_YEAR },
+};
+
+// Copy with the coefficients clamped to their slider ranges
+function normalizeRiskModel(m) {
+  const clamp = (v, lo, hi, fallback) => Number.isFinite(+v) ? Math.max(lo, Math.min(hi, +v)) : fallback;
+  return {
+    deathWeight: clamp(m.deathWeight, 0, DEATH_WEIGHT_MAX, RISK_MODEL_DEFAULTS.deathWeight),
+    humanWeight: clamp(m.humanWeight, 0, 1, RISK_MODEL_DEFAULTS.humanWeight),
+    halfLife: clamp(m.halfLife, HALF_LIFE_RANGE[0], HALF_LIFE_RANGE[1], RISK_MODEL_DEFAULTS.halfLife),
+    blendWeight: clamp(m.blendWeight, 0, 1, RISK_MODEL_DEFAULTS.blendWeight),
+  };
+}
+
+function sameSet(a, b) {
+  if (!a || !b) return a === b;
+  if (a.size !== b.size) return false;
+  for (const v of a) if (!b.has(v)) return false;
+  return true;
+}
+
+// Copy with sorted subtype lists (empty ones dropped) so filters compare by value
+function normalizeEventFilter(f) {
+  const excludedSubtypes = {};
+  for (const [hazard, list] of Object.entries(f.excludedSubtypes || {})) {
+    if (list && list.length) excludedSubtypes[hazard] = [...new Set(list)].sort();
+  }
+  return {
+    excludedSubtypes,
+    minDeaths: Math.max(0, +f.minDeaths || 0),
+    minDamage: Math.max(0, +f.minDamage || 0),
+    excludeImputed: !!f.excludeImputed,
+  };
+}
+
+export const appState = {
+  get year() { return state.year; },
+  get activeDisasters() { return state.activeDisasters ? new Set(state.activeDisasters) : null; },
+  get prefecture() { return state.prefecture; },
+  get palette() { return state.palette; },
+  get view() { return state.view; },
+  get timeWindow() { return { ...state.timeWindow }; },
+  get eventFilter() { return normalizeEventFilter(state.eventFilter); },
+  get focusedEvent() { return state.focusedEvent; },
+  get colorMode() { return state.colorMode; },
+  get aggregation() { return state.aggregation; },
+  get comparison() { return state.comparison.map(p => ({ ...p })); },
+  get riskModel() { return { ...state.riskModel }; },
+  get classification() { return state.classification; },
+  get changeBaseline() { return { ...state.changeBaseline }; },
+
+  setYear(year, source = "unknown") {
+    const y = +year;
+    if (!Number.isFinite(y) || y === state.year) return;
+    const previous = state.year;
+    state.year = y;
+    dispatch.call("yearchange", null, { year: y, previous, source });
+  },
+
+  setActiveDisasters(keys, source = "unknown") {
+    const next = new Set(keys);
+    if (sameSet(next, state.activeDisasters)) return;
+    const previous = state.activeDisasters;
+    state.activeDisasters = next;
+    dispatch.call("filterchange", null, { activeDisasters: new Set(next), previous, source });
+  },
+
+  // prefecture: { norm, name } (either may be missing) or null to clear
+  selectPrefecture(prefecture, source = "unknown") {
+    const next = prefecture ? { norm: prefecture.norm || null, name: prefecture.name || prefecture.norm || null } : null;
+    const prev = state.prefecture;
+    if (!next && !prev) return;
+    state.prefecture = next;
+    // Re-selecting the same prefecture is still announced (e.g. a second map
+    // click); listeners can tell from `previous`.
+    dispatch.call("prefectureselect", null, { prefecture: next, previous: prev, source });
+  },
+
+  setPalette(palette, source = "unknown") {
+    if (!palette || palette === state.palette) return;
+    const previous = state.palette;
+    state.palette = palette;
+    dispatch.call("palettechange", null, { palette, previous, source });
+  },
+
+  // view: { zoom, center: [x, y] } in map-group coordinates
+  setView(view, source = "unknown") {
+    if (!view || !Number.isFinite(+view.zoom) || !view.center) return;
+    const next = { zoom: +view.zoom, center: [+view.center[0], +view.center[1]] };
+    const prev = state.view;
+    if (prev && prev.zoom === next.zoom && prev.center[0] === next.center[0] && prev.center[1] === next.center[1]) return;
+    state.view = next;
+    dispatch.call("viewchange", null, { view: next, previous: prev, source });
+  },
+
+  // timeWindow: { mode, start }; start only matters in "range" mode
+  setTimeWindow(timeWindow, source = "unknown") {
+    if (!timeWindow || !TIME_MODES.includes(timeWindow.mode)) return;
+    const start = (timeWindow.start == null || !Number.isFinite(+timeWindow.start)) ? null : +timeWindow.start;
+    const next = { mode: timeWindow.mode, start };
+    const prev = state.timeWindow;
+    if (prev.mode === next.mode && prev.start === next.start) return;
+    state.timeWindow = next;
+    dispatch.call("timewindowchange", null, { timeWindow: { ...next }, previous: prev, source });
+  },
+
+  // eventFilter: any subset of { excludedSubtypes, minDeaths, minDamage,
+  // excludeImputed }; missing fields keep their current value
+  setEventFilter(eventFilter, source = "unknown") {
+    if (!eventFilter) return;
+    const next = normalizeEventFilter({ ...state.eventFilter, ...eventFilter });
+    const prev = state.eventFilter;
+    if (JSON.stringify(next) === JSON.stringify(prev)) return;
+    state.eventFilter = next;
+    dispatch.call("eventfilterchange", null, { eventFilter: normalizeEventFilter(next), previous: prev, source });
+  },
+
+  // event: an event row to fly to and open, or null to clear. Like
+  // selectPrefecture, focusing the same event again is still announced.
+  focusEvent(event, source = "unknown") {
+    const prev = state.focusedEvent;
+    if (!event && !prev) return;
+    state.focusedEvent = event || null;
+    dispatch.call("eventfocus", null, { event: state.focusedEvent, previous: prev, source });
+  },
+
+  setColorMode(colorMode, source = "unknown") {
+    if (!COLOR_MODES.includes(colorMode) || colorMode === state.colorMode) return;
+    const previous = state.colorMode;
+    state.colorMode = colorMode;
+    dispatch.call("colormodechange", null, { colorMode, previous, source });
+  },
+
+  setAggregation(aggregation, source = "unknown") {
+    if (!AGGREGATIONS.includes(aggregation) || aggregation === state.aggregation) return;
+    const previous = state.aggregation;
+    state.aggregation = aggregation;
+    dispatch.call("aggregationchange", null, { aggregation, previous, source });
+  },
+
+  // comparison: [{ norm, name }] in legend order; duplicates (by norm) are
+  // dropped and the list is capped at COMPARE_LIMIT
+  setComparison(comparison, source = "unknown") {
+    const next = [];
+    for (const p of comparison || []) {
+      const norm = p && (p.norm || p.name);
+      if (!norm || next.some(q => q.norm === norm)) continue;
+      next.push({ norm, name: p.name || norm });
+    }
+    next.length = Math.min(next.length, COMPARE_LIMIT);
+    const prev = state.comparison;
+    if (prev.length === next.length && prev.every((p, i) => p.norm === next[i].norm)) return;
+    state.comparison = next;
+    dispatch.call("comparisonchange", null, { comparison: next.map(p => ({ ...p })), previous: prev, source });
+  },
+
+  // riskModel: partial { deathWeight, humanWeight, halfLife, blendWeight };
+  // missing keys keep their current value
+  setRiskModel(riskModel, source = "unknown") {
+    const next = normalizeRiskModel({ ...state.riskModel, ...riskModel });
+    const prev = state.riskModel;
+    if (Object.keys(next).every(k => next[k] === prev[k])) return;
+    state.riskModel = next;
+    dispatch.call("riskmodelchange", null, { riskModel: { ...next }, previous: { ...prev }, source });
+  },
+
+  setClassification(classification, source = "unknown") {
+    if (!CLASSIFICATIONS.includes(classification) || classification === state.classification) return;
+    const previous = state.classification;
+    state.classification = classification;
+    dispatch.call("classificationchange", null, { classification, previous, source });
+  },
+
+  // changeBaseline: { mode, year }; a missing year keeps the current one
+  setChangeBaseline(changeBaseline, source = "unknown") {
+    if (!changeBaseline || !CHANGE_BASELINES.includes(changeBaseline.mode)) return;
+    const year = (changeBaseline.year != null && Number.isFinite(+changeBaseline.year))
+      ? Math.round(+changeBaseline.year)
+      : state.changeBaseline.year;
+    const next = { mode: changeBaseline.mode, year };
+    const prev = state.changeBaseline;
+    if (prev.mode === next.mode && prev.year === next.year) return;
+    state.changeBaseline = next;
+    dispatch.call("changebaselinechange", null, { changeBaseline: { ...next }, previous: prev, source });
+  },
+
+  on(type, listener) {
+    if (listener === undefined) return dispatch.on(type);
+    dispatch.on(type, listener);
+    return appState;
+  },
+};
+
+if (typeof window !== "undefined") window.appState = appState;
+
+export default appState;
@@ -0,0 +1,181 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS } from "./hazards.js";
+import { EVENTS_CSV_URL, loadDisasterEvents } from "./event_data.js";
+import { isDefaultEventFilter, visibleEvents, visibleYearSpan } from "./event_filters.js";
+import { detailSeries, getRiskData, whenRiskReady } from "./risk_profile.js";
+
+// data_export.js
+// "Export data" control: downloads the numbers behind the current view.
+//   events  – event rows currently on the map (year window, hazards, filters)
+//   risk    – every prefecture's risk row for the selected year
+//   series  – the selected prefecture's risk time series (the detail chart),
+//             or its region / island's population-weighted series when the
+//             map is aggregated
+// CSV files start with "# key: value" metadata lines before the header row;
+// JSON files are { metadata, rows }. Metadata records the year, time window,
+// active hazards, extra filters and the source data file.
+
+const datasetSelect = document.getElementById('exportDataset');
+const formatSelect = document.getElementById('exportFormat');
+const exportButton = document.getElementById('exportButton');
+const status = d3.select('#exportStatus');
+
+function hazardsList() {
+  const active = appState.activeDisasters || new Set(DISASTER_KEYS);
+  return DISASTER_KEYS.filter(k => active.has(k));
+}
+
+function baseMetadata(dataset, source) {
+  const [start, end] = visibleYearSpan(appState.year, appState.timeWindow);
+  const meta = {
+    dataset,
+    exported_at: new Date().toISOString(),
+    year: appState.year,
+    time_window: appState.timeWindow.mode === 'year' ? String(end) : `${start}-${end} (${appState.timeWindow.mode})`,
+    hazards: hazardsList().join('; '),
+    source,
+  };
+  const f = appState.eventFilter;
+  if (!isDefaultEventFilter(f)) {
+    const parts = Object.entries(f.excludedSubtypes).map(([h, list]) => `${h} without ${list.join('/')}`);
+    if (f.minDeaths) parts.push(`deaths >= ${f.minDeaths}`);
+    if (f.minDamage) parts.push(`damage_final_usd >= ${f.minDamage}`);
+    if (f.excludeImputed) parts.push('imputed damage excluded');
+    meta.event_filters = parts.join('; ');
+  }
+  return meta;
+}
+
+async function eventsExport() {
+  const rows = await loadDisasterEvents();
+  const data = visibleEvents(rows, {
+    year: appState.year,
+    timeWindow: appState.timeWindow,
+    activeDisasters: new Set(hazardsList()),
+    eventFilter: appState.eventFilter,
+  });
+  const [start, end] = visibleYearSpan(appState.year, appState.timeWindow);
+  return {
+    name: `japan-disaster-events_${start === end ? end : `${start}-${end}`}`,
+    metadata: { ...baseMetadata('events on map', EVENTS_CSV_URL), note: 'disaster_type_gdis is the cleaned hazard key' },
+    columns: rows.columns,
+    rows: data,
+  };
+}
+
+// Hazard and subtype filters don't change the risk index; the metadata still
+// records them so a pasted table can be matched to its map
+async function riskExport() {
+  await whenRiskReady();
+  const { riskRows, columns, source } = getRiskData();
+  const year = appState.year;
+  return {
+    name: `japan-prefecture-risk_${year}`,
+    metadata: { ...baseMetadata('prefecture risk for selected year', source), note: 'synthetic = year without events, risk decayed from the previous year' },
+    columns: [...columns, 'synthetic'],
+    rows: riskRows
+      .filter(r => +r.year === year)
+      .map(r => ({ ...r, synthetic: !!r.__synthetic }))
+      .sort((a, b) => d3.ascending(a.prefecture_norm, b.prefecture_norm)),
+  };
+}
+
+async function seriesExport() {
+  const pref = appState.prefecture;
+  if (!pref) return null;
+  await whenRiskReady();
+  const { riskRows, columns, source } = getRiskData();
+  const wanted = new Set([pref.norm, pref.name].filter(Boolean).map(s => s.toLowerCase()));
+  const norm = riskRows.find(r => wanted.has(String(r.prefecture_norm).toLowerCase()))?.prefecture_norm
+    || pref.norm || pref.name;
+  const { level, group, rows } = detailSeries(norm);
+  const ordered = list => list.map(r => ({ ...r, synthetic: !!r.__synthetic })).sort((a, b) => +a.year - +b.year);
+  if (!group) {
+    return {
+      name: `japan-risk-series_${norm}`,
+      metadata: { ...baseMetadata('prefecture risk time series', source), aggregation: level, prefecture: norm },
+      columns: [...columns, 'synthetic'],
+      rows: ordered(rows),
+    };
+  }
+  // Group rows carry population-weighted scores and summed counts; per-prefecture
+  // source columns they don't have are left blank
+  return {
+    name: `japan-risk-series_${level}_${group}`,
+    metadata: {
+      ...baseMetadata(`${level} risk time series (population-weighted)`, source),
+      aggregation: level,
+      group,
+      members: rows[0]?.members.join(', ') ?? '',
+      prefecture: norm,
+    },
+    columns: ['group', ...columns.filter(c => c !== 'prefecture_norm'), 'synthetic'],
+    rows: ordered(rows),
+  };
+}
+
+// Internal bookkeeping fields (e.g. __synthetic, disaster_type_raw) are left out
+function pick(rows, columns) {
+  return rows.map(r => Object.fromEntries(columns.map(c => [c, r[c] ?? ''])));
+}
+
+function toCSV({ metadata, columns, rows }) {
+  const header = Object.entries(metadata).map(([k, v]) => `# ${k}: ${String(v).replace(/\r?\n/g, ' ')}`);
+  return header.join('\n') + '\n' + d3.csvFormat(pick(rows, columns), columns) + '\n';
+}
+
+function toJSON({ metadata, columns, rows }) {
+  return JSON.stringify({ metadata: { ...metadata, rows: rows.length }, rows: pick(rows, columns) }, null, 2);
+}
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const EXPORTS = { events: eventsExport, risk: riskExport, series: seriesExport };
+
+export async function exportData(dataset, format = 'csv') {
+  const build = EXPORTS[dataset];
+  if (!build) throw new Error(`Unknown export "${dataset}"`);
+  const result = await build();
+  if (!result) return null;
+  const json = (format === 'json');
+  const text = json ? toJSON(result) : toCSV(result);
+  const filename = `${result.name.replace(/[^\w.-]+/g, '_')}.${json ? 'json' : 'csv'}`;
+  download(filename, text, json ? 'application/json' : 'text/csv');
+  return { filename, rows: result.rows.length };
+}
+
+// The series export needs a selected prefecture
+function syncSeriesOption() {
+  const opt = datasetSelect.querySelector('option[value="series"]');
+  const pref = appState.prefecture;
+  opt.disabled = !pref;
+  opt.textContent = pref ? `Risk series: ${pref.norm || pref.name}` : 'Risk series (select a prefecture)';
+  if (!pref && datasetSelect.value === 'series') datasetSelect.value = 'events';
+}
+
+if (datasetSelect && formatSelect && exportButton) {
+  exportButton.addEventListener('click', async () => {
+    exportButton.disabled = true;
+    try {
+      const done = await exportData(datasetSelect.value, formatSelect.value);
+      status.text(done ? `Saved ${done.filename} (${done.rows} rows)` : 'Nothing to export');
+    } catch (err) {
+      console.error('[data_export] export failed:', err);
+      status.text('Export failed – see console');
+    } finally {
+      exportButton.disabled = false;
+    }
+  });
+  appState.on('prefectureselect.export', syncSeriesOption);
+  syncSeriesOption();
+}
@@ -0,0 +1,216 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState, COMPARE_LIMIT } from "./app_state.js";
+import { getRiskData, onRiskDataChange, whenRiskReady } from "./risk_profile.js";
+import { prefectureLabel } from "./prefecture_names.js";
+import { announce } from "./live_region.js";
+
+// detail_compare.js
+// Compare mode for the detail panel. Shift-click (or Shift+Enter) on a
+// prefecture adds it to appState.comparison, shift-clicking it again removes
+// it; up to COMPARE_LIMIT prefectures are drawn as colored lines in
+// #detail-svg with a shared legend (click a legend entry to drop it). The
+// first shift-click keeps the currently selected prefecture as the first line.
+// #compareMetric switches the lines between risk_final, risk_year_norm and
+// risk_cum_norm. While the comparison is empty, risk_profile.js draws the
+// usual single-prefecture detail.
+
+export const COMPARE_METRICS = {
+  risk_final: 'Final risk (blended)',
+  risk_year_norm: 'Risk of the year',
+  risk_cum_norm: 'Cumulative risk (decayed)',
+};
+
+const DETAIL_SVG = d3.select('#detail-svg');
+const DETAIL_TITLE = d3.select('#detail-title');
+const DETAIL_SUMMARY = d3.select('#detail-summary');
+const controls = d3.select('#compare-controls');
+const hint = d3.select('#compare-hint');
+const metricSelect = d3.select('#compareMetric');
+const clearButton = d3.select('#compareClear');
+const status = d3.select('#compareStatus');
+
+const SERIES_COLORS = d3.schemeDark2;
+
+let metric = 'risk_final';
+const colors = new Map(); // norm → color, kept while the prefecture stays in the comparison
+
+function valueOf(row) {
+  const raw = row[metric];
+  if (raw == null || raw === '') return null;
+  const v = +raw;
+  return Number.isFinite(v) ? v : null;
+}
+
+// Same prefecture keeps its color when others are added or removed
+function assignColors(list) {
+  for (const norm of [...colors.keys()]) {
+    if (!list.some(p => p.norm === norm)) colors.delete(norm);
+  }
+  for (const p of list) {
+    if (colors.has(p.norm)) continue;
+    const used = new Set(colors.values());
+    colors.set(p.norm, SERIES_COLORS.find(c => !used.has(c)) || SERIES_COLORS[0]);
+  }
+}
+
+function setStatus(text) {
+  status.text(text || '');
+  if (text) announce(text);
+}
+
+function toggle(pref) {
+  const list = appState.comparison;
+  if (list.some(p => p.norm === pref.norm)) {
+    appState.setComparison(list.filter(p => p.norm !== pref.norm), 'compare');
+    setStatus(`${pref.name} removed from the comparison.`);
+    return;
+  }
+  if (list.length >= COMPARE_LIMIT) {
+    setStatus(`Up to ${COMPARE_LIMIT} prefectures can be compared; shift-click one to remove it first.`);
+    return;
+  }
+  // Start from the prefecture already shown in the detail panel
+  const selected = appState.prefecture;
+  if (!list.length && selected && (selected.norm || selected.name) !== pref.norm) {
+    list.push({ norm: selected.norm || selected.name, name: selected.name || selected.norm });
+  }
+  appState.setComparison([...list, pref], 'compare');
+  setStatus(`${pref.name} added to the comparison (${Math.min(list.length + 1, COMPARE_LIMIT)} of ${COMPARE_LIMIT}).`);
+}
+
+function render() {
+  const list = appState.comparison;
+  controls.attr('hidden', list.length ? null : true);
+  hint.attr('hidden', list.length ? true : null);
+  if (!list.length) {
+    status.text('');
+    return; // risk_profile.js redraws the single-prefecture detail
+  }
+  assignColors(list);
+
+  const { riskRows, yearsDomain } = getRiskData();
+  const byPref = d3.group(riskRows, r => r.prefecture_norm);
+  const series = list.map(p => ({
+    ...p,
+    color: colors.get(p.norm),
+    rows: (byPref.get(p.norm) || [])
+      .filter(r => valueOf(r) != null)
+      .sort((a, b) => +a.year - +b.year),
+  }));
+  const year = appState.year;
+  const label = COMPARE_METRICS[metric];
+
+  DETAIL_TITLE.text(`Comparing ${list.length} prefecture${list.length === 1 ? '' : 's'} — ${label.toLowerCase()}`);
+
+  // Legend rows above the plot (item width estimated from the name length)
+  const W = Math.max(520, parseInt(DETAIL_SVG.style('width')) || 560);
+  const legendItems = [];
+  let lx = 0;
+  let ly = 0;
+  for (const s of series) {
+    const w = 30 + s.name.length * 7 + 14;
+    if (lx > 0 && lx + w > W - 56) { lx = 0; ly += 16; }
+    legendItems.push({ s, x: lx, y: ly });
+    lx += w;
+  }
+
+  const margin = { top: 26 + ly, right: 18, bottom: 28, left: 38 };
+  const H = 280 + ly;
+  const width = W - margin.left - margin.right;
+  const height = H - margin.top - margin.bottom;
+
+  DETAIL_SVG.attr('viewBox', `0 0 ${W} ${H}`).selectAll('*').remove();
+
+  const legend = DETAIL_SVG.append('g')
+    .attr('class', 'compare-legend')
+    .attr('transform', `translate(${margin.left},10)`)
+    .selectAll('g')
+    .data(legendItems)
+    .join('g')
+    .attr('transform', d => `translate(${d.x},${d.y})`)
+    .style('cursor', 'pointer')
+    .on('click', (event, d) => toggle(d.s));
+  legend.append('title').text(d => `Remove ${d.s.name} from the comparison`);
+  legend.append('line')
+    .attr('x1', 0).attr('x2', 22).attr('y1', 0).attr('y2', 0)
+    .attr('stroke', d => d.s.color)
+    .attr('stroke-width', 2.5);
+  legend.append('text')
+    .attr('x', 28).attr('y', 0)
+    .attr('dominant-baseline', 'central')
+    .attr('font-size', 12)
+    .attr('fill', '#333')
+    .text(d => d.s.name);
+
+  const gg = DETAIL_SVG.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+  const maxValue = d3.max(series, s => d3.max(s.rows, valueOf)) || 0;
+  const x = d3.scaleLinear().domain(yearsDomain).range([0, width]);
+  const y = d3.scaleLinear().domain([0, Math.max(0.05, maxValue)]).nice().range([height, 0]);
+
+  gg.append('g').attr('transform', `translate(0,${height})`).call(d3.axisBottom(x).ticks(8).tickFormat(d3.format('d')));
+  gg.append('g').call(d3.axisLeft(y).ticks(5));
+
+  const line = d3.line().x(d => x(+d.year)).y(d => y(valueOf(d)));
+  const lines = gg.append('g').attr('class', 'compare-lines')
+    .selectAll('g')
+    .data(series)
+    .join('g');
+  lines.append('path')
+    .attr('d', s => line(s.rows))
+    .attr('fill', 'none')
+    .attr('stroke', s => s.color)
+    .attr('stroke-width', 1.8)
+    .attr('stroke-linejoin', 'round');
+  // Dots on the selected year
+  lines.each(function (s) {
+    const row = s.rows.find(r => +r.year === +year);
+    if (!row) return;
+    d3.select(this).append('circle')
+      .attr('cx', x(+row.year))
+      .attr('cy', y(valueOf(row)))
+      .attr('r', 3.5)
+      .attr('fill', s.color)
+      .attr('stroke', '#fff')
+      .append('title')
+      .text(`${s.name} ${year}\n${label} ${(valueOf(row) * 100).toFixed(1)}${row.__synthetic ? ' (decayed)' : ''}`);
+  });
+
+  gg.append('line')
+    .attr('x1', x(year)).attr('x2', x(year))
+    .attr('y1', 0).attr('y2', height)
+    .attr('stroke', '#bc002d').attr('stroke-dasharray', '3,3');
+
+  const values = series.map(s => {
+    const row = s.rows.find(r => +r.year === +year);
+    return `${s.name} ${row ? (valueOf(row) * 100).toFixed(1) : '—'}`;
+  });
+  DETAIL_SUMMARY.text(`Year ${year} • ${label} × 100: ${values.join(' • ')}`);
+}
+
+function initCompare(mapCtx) {
+  mapCtx.prefectures.on('click.compare', (event, d) => {
+    if (!event.shiftKey) return;
+    const name = prefectureLabel(d);
+    toggle({ norm: d.properties?.__prefNorm || name, name });
+  });
+
+  metricSelect
+    .property('value', metric)
+    .on('change', () => {
+      metric = metricSelect.property('value');
+      render();
+    });
+  clearButton.on('click', () => appState.setComparison([], 'compare'));
+
+  appState
+    .on('comparisonchange.compare', render)
+    .on('yearchange.compare', () => { if (appState.comparison.length) render(); });
+  onRiskDataChange('compare', () => { if (appState.comparison.length) render(); });
+
+  render();
+}
+
+Promise.all([whenMapReady(), whenRiskReady()])
+  .then(([mapCtx]) => initCompare(mapCtx))
+  .catch(err => console.warn('[detail_compare] map or risk data not available; compare mode disabled', err));
@@ -0,0 +1,61 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { canonicalHazard } from "./hazards.js";
+import { memoizeLoad } from "./memoize_load.js";
+
+// event_data.js
+// Loads the merged disaster-event CSV once and shares the rows between the
+// point layer, the timeline and any other widget that needs them.
+//
+// Rows are cleaned on the way in: `disaster_type_gdis` is rewritten to its
+// canonical hazard key (the raw label is kept in `disaster_type_raw`), so
+// "extreme temperature " with its trailing space matches the filters and
+// palettes like every other hazard. Labels that don't map to a known hazard
+// are kept as-is and flagged with `hazard_unknown`; nothing in the views
+// matches them, so they are listed in the ingest report instead of vanishing.
+// Each row also gets `__row`, its index in the file: disno, hazard, place and
+// year together are not unique, so views key their marks on this.
+//
+// The report travels with the rows as `rows.diagnostics` (alongside d3's
+// `rows.columns`):
+//   { total, renamed: [{ raw, key, count }], unknown: [{ raw, count }], missingCoords }
+
+export const EVENTS_CSV_URL = './data/gdis_emdat_japan_prefecture_merged_enh.csv';
+
+function ingest(rows) {
+  const renamed = new Map();
+  const unknown = new Map();
+  let missingCoords = 0;
+
+  rows.forEach((d, i) => {
+    d.__row = i;
+    const raw = d.disaster_type_gdis ?? '';
+    const key = canonicalHazard(raw);
+    d.disaster_type_raw = raw;
+    if (key) {
+      if (key !== raw) renamed.set(raw, { raw, key, count: (renamed.get(raw)?.count || 0) + 1 });
+      d.disaster_type_gdis = key;
+    } else {
+      const label = String(raw).trim();
+      unknown.set(label, (unknown.get(label) || 0) + 1);
+      d.disaster_type_gdis = label;
+      d.hazard_unknown = true;
+    }
+    if (!d.latitude || !d.longitude || isNaN(+d.latitude) || isNaN(+d.longitude)) missingCoords++;
+  });
+
+  rows.diagnostics = {
+    total: rows.length,
+    renamed: [...renamed.values()],
+    unknown: [...unknown].map(([raw, count]) => ({ raw, count })),
+    missingCoords,
+  };
+  for (const r of rows.diagnostics.renamed) {
+    console.log(`[event_data] normalized hazard "${r.raw}" → "${r.key}" (${r.count} rows)`);
+  }
+  for (const u of rows.diagnostics.unknown) {
+    console.warn(`[event_data] unknown hazard type "${u.raw}" (${u.count} rows) – not shown on the map`);
+  }
+  return rows;
+}
+
+export const loadDisasterEvents = memoizeLoad(() => d3.csv(EVENTS_CSV_URL).then(ingest));
@@ -0,0 +1,90 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// event_filters.js
+// Subtype and severity filter applied on top of the hazard checkboxes.
+// The filter itself lives in appState.eventFilter; this module holds the
+// predicates every view shares (point layer, timeline, event table) so they
+// agree on which events count.
+//
+// Thresholds only keep events whose value is known: with "min deaths: 10" an
+// event with no recorded death toll is hidden rather than assumed to qualify.
+
+export const UNSPECIFIED_SUBTYPE = '(unspecified)';
+export const FIRST_YEAR = 1960;
+
+export function subtypeOf(d) {
+  return (d.disaster_subtype || '').trim() || UNSPECIFIED_SUBTYPE;
+}
+
+function knownNumber(v) {
+  if (v === '' || v == null) return null;
+  const n = +v;
+  return Number.isFinite(n) ? n : null;
+}
+
+export function isImputedDamage(d) {
+  return String(d.damage_imputed_flag).toLowerCase() === 'true';
+}
+
+export function isDefaultEventFilter(f) {
+  return !f || (!Object.keys(f.excludedSubtypes || {}).length && !f.minDeaths && !f.minDamage && !f.excludeImputed);
+}
+
+/**
+ * Does event row `d` pass the subtype / severity filter?
+ * @param {object} d  event CSV row
+ * @param {object} f  appState.eventFilter
+ */
+export function passesEventFilter(d, f) {
+  if (isDefaultEventFilter(f)) return true;
+  const excluded = f.excludedSubtypes[d.disaster_type_gdis];
+  if (excluded && excluded.includes(subtypeOf(d))) return false;
+  if (f.minDeaths > 0) {
+    const deaths = knownNumber(d.deaths);
+    if (deaths == null || deaths < f.minDeaths) return false;
+  }
+  if (f.minDamage > 0) {
+    const damage = knownNumber(d.damage_final_usd);
+    if (damage == null || damage < f.minDamage) return false;
+  }
+  if (f.excludeImputed && isImputedDamage(d)) return false;
+  return true;
+}
+
+// hazard → [{ subtype, count }] (most common first), for building the panel
+export function subtypesByHazard(rows) {
+  const grouped = d3.rollup(rows, v => v.length, d => d.disaster_type_gdis, subtypeOf);
+  const out = new Map();
+  for (const [hazard, counts] of grouped) {
+    out.set(hazard, [...counts].map(([subtype, count]) => ({ subtype, count }))
+      .sort((a, b) => b.count - a.count || a.subtype.localeCompare(b.subtype)));
+  }
+  return out;
+}
+
+// [start, end] of the years shown for the selected year; end is always `year`
+export function visibleYearSpan(year, timeWindow) {
+  if (timeWindow.mode === 'cumulative') return [FIRST_YEAR, year];
+  if (timeWindow.mode === 'range') return [Math.min(timeWindow.start ?? year, year), year];
+  return [year, year];
+}
+
+export function hasCoordinates(d) {
+  return !!(d.latitude && d.longitude && !isNaN(+d.latitude) && !isNaN(+d.longitude));
+}
+
+/**
+ * Events drawn on the map for the given view state: inside the year span,
+ * hazard checked, passing the "More filters" panel and with coordinates.
+ * @param {object[]} rows  rows from loadDisasterEvents()
+ * @param {object} s       { year, timeWindow, activeDisasters: Set, eventFilter }
+ */
+export function visibleEvents(rows, { year, timeWindow, activeDisasters, eventFilter }) {
+  const [start, end] = visibleYearSpan(year, timeWindow);
+  return rows.filter(d =>
+    hasCoordinates(d) &&
+    +d.year >= start && +d.year <= end &&
+    activeDisasters.has(d.disaster_type_gdis) &&
+    passesEventFilter(d, eventFilter)
+  );
+}
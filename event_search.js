@@ -0,0 +1,186 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS } from "./hazards.js";
+import { loadDisasterEvents } from "./event_data.js";
+import { passesEventFilter, subtypeOf } from "./event_filters.js";
+
+// event_search.js
+// Free-text event search with autocomplete ("Kobe 1995", "tsunami 2011",
+// "1995-0016"). Each word of the query has to match one of disno,
+// location_str, location_str_emdat, prefecture or subtype (four-digit words
+// also match the year). Results are ranked by where the words matched, then
+// by death toll.
+//
+// Choosing a result publishes the event's year and appState.focusEvent();
+// the map flies to the point and the point layer opens its tooltip. If the
+// event's hazard is unchecked or it fails the "More filters" panel, those are
+// relaxed first so the chosen event is actually drawn.
+
+const input = document.getElementById('eventSearch');
+const list = d3.select('#eventSearchResults');
+const MAX_RESULTS = 8;
+
+// Field weights: a hit in the short location or the prefecture beats one
+// buried in EM-DAT's long location list
+const FIELDS = [
+  ['disno', 3],
+  ['location_str', 3],
+  ['prefecture', 3],
+  ['subtype', 2],
+  ['location_str_emdat', 1],
+];
+
+const fmt = new Intl.NumberFormat();
+
+function normalize(s) {
+  return String(s ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function buildIndex(rows) {
+  return rows
+    .filter(d => !d.hazard_unknown && d.latitude && d.longitude && !isNaN(+d.latitude) && !isNaN(+d.longitude))
+    .map(d => ({
+      d,
+      year: String(+d.year),
+      fields: {
+        disno: normalize(d.disno),
+        location_str: normalize(d.location_str),
+        prefecture: normalize(`${d.prefecture} ${d.prefecture_norm}`),
+        subtype: normalize(`${subtypeOf(d)} ${d.disaster_type_gdis}`),
+        location_str_emdat: normalize(d.location_str_emdat),
+      },
+    }));
+}
+
+function scoreEntry(entry, words) {
+  let score = 0;
+  for (const w of words) {
+    let best = 0;
+    if (/^\d{4}$/.test(w) && entry.year === w) best = 3;
+    for (const [field, weight] of FIELDS) {
+      const text = entry.fields[field];
+      const at = text.indexOf(w);
+      if (at < 0) continue;
+      // Word-start matches ("kobe" in "kobe city") rank above mid-word ones
+      const atWordStart = at === 0 || /[\s,(_-]/.test(text[at - 1]);
+      best = Math.max(best, weight + (atWordStart ? 0.5 : 0));
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+function search(index, query) {
+  const words = normalize(query).split(' ').filter(Boolean);
+  if (!words.length) return [];
+  return index
+    .map(entry => ({ entry, score: scoreEntry(entry, words) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || (+b.entry.d.deaths || 0) - (+a.entry.d.deaths || 0))
+    .slice(0, MAX_RESULTS)
+    .map(r => r.entry.d);
+}
+
+function resultLabel(d) {
+  const place = (d.location_str || '').trim() || d.prefecture || 'Unknown location';
+  const pref = (d.prefecture && !place.includes(d.prefecture)) ? `, ${d.prefecture}` : '';
+  const deaths = (d.deaths !== '' && d.deaths != null) ? ` · ${fmt.format(+d.deaths)} deaths` : '';
+  return {
+    main: `${place}${pref} – ${d.year}`,
+    sub: `${d.disaster_type_gdis} (${subtypeOf(d)}) · ${d.disno}${deaths}`,
+  };
+}
+
+// Make sure the chosen event is drawn, then publish it
+function chooseEvent(d) {
+  const hazard = d.disaster_type_gdis;
+  const active = appState.activeDisasters;
+  if (active && !active.has(hazard) && DISASTER_KEYS.includes(hazard)) {
+    appState.setActiveDisasters([...active, hazard], 'eventsearch');
+  }
+  if (!passesEventFilter(d, appState.eventFilter)) {
+    appState.setEventFilter({ excludedSubtypes: {}, minDeaths: 0, minDamage: 0, excludeImputed: false }, 'eventsearch');
+  }
+  appState.setYear(+d.year, 'eventsearch');
+  appState.focusEvent(d, 'eventsearch');
+}
+
+function attachSearch(rows) {
+  const index = buildIndex(rows);
+  let results = [];
+  let active = -1;
+
+  function close() {
+    list.property('hidden', true).selectAll('*').remove();
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    results = [];
+    active = -1;
+  }
+
+  function highlight(i) {
+    active = i;
+    list.selectAll('li').classed('is-active', (_, j) => j === i).attr('aria-selected', (_, j) => j === i);
+    if (i >= 0) input.setAttribute('aria-activedescendant', `event-result-${i}`);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function pick(i) {
+    const d = results[i];
+    if (!d) return;
+    input.value = resultLabel(d).main;
+    close();
+    chooseEvent(d);
+  }
+
+  function update() {
+    results = search(index, input.value);
+    if (!results.length) {
+      const empty = normalize(input.value) !== '';
+      list.selectAll('*').remove();
+      list.property('hidden', !empty);
+      if (empty) list.append('li').attr('class', 'search-empty').text('No matching events');
+      input.setAttribute('aria-expanded', String(empty));
+      active = -1;
+      return;
+    }
+    const items = list.property('hidden', false).selectAll('li')
+      .data(results)
+      .join('li')
+      .attr('id', (_, i) => `event-result-${i}`)
+      .attr('role', 'option')
+      .attr('class', 'search-result')
+      .html('')
+      // mousedown fires before the input's blur, which would close the list
+      .on('mousedown', (event, d) => { event.preventDefault(); pick(results.indexOf(d)); })
+      .on('mouseenter', (event, d) => highlight(results.indexOf(d)));
+    items.append('span').attr('class', 'search-main').text(d => resultLabel(d).main);
+    items.append('span').attr('class', 'search-sub').text(d => resultLabel(d).sub);
+    input.setAttribute('aria-expanded', 'true');
+    highlight(0);
+  }
+
+  input.addEventListener('input', update);
+  input.addEventListener('focus', () => { if (input.value) update(); });
+  input.addEventListener('blur', close);
+  input.addEventListener('keydown', event => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (!results.length) return;
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      highlight((active + step + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      pick(active >= 0 ? active : 0);
+    } else if (event.key === 'Escape') {
+      close();
+    }
+  });
+}
+
+if (input && !list.empty()) {
+  loadDisasterEvents()
+    .then(attachSearch)
+    .catch(err => console.error('[event_search] failed to load events:', err));
+}
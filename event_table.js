@@ -0,0 +1,183 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS } from "./hazards.js";
+import { loadDisasterEvents } from "./event_data.js";
+import { subtypeOf, visibleEvents } from "./event_filters.js";
+
+// event_table.js
+// Sortable, paginated table of the events currently drawn on the map (same
+// year window, hazard checkboxes and "More filters" as the point layer).
+// - hovering a row highlights its circle.disaster-point (or the cluster badge
+//   hiding it)
+// - clicking a row focuses the event: the map flies there and opens its tooltip
+// - clicking a point on the map jumps to the page holding its row
+// The merged CSV only records the year, so that is what the Date column shows.
+
+const container = d3.select('#event-table');
+const PAGE_SIZE = 25;
+
+const fmt = new Intl.NumberFormat();
+const fmtUsd = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+function num(v) {
+  if (v === '' || v == null) return null;
+  const n = +v;
+  return Number.isFinite(n) ? n : null;
+}
+
+const COLUMNS = [
+  { key: 'disno', label: 'Disno', value: d => d.disno },
+  { key: 'date', label: 'Date', value: d => +d.year, numeric: true, format: v => String(v) },
+  { key: 'prefecture', label: 'Prefecture', value: d => d.prefecture || '' },
+  { key: 'type', label: 'Type / subtype', value: d => `${d.disaster_type_gdis} / ${subtypeOf(d)}` },
+  { key: 'deaths', label: 'Deaths', value: d => num(d.deaths), numeric: true },
+  { key: 'injured', label: 'Injured', value: d => num(d.injured), numeric: true },
+  { key: 'affected', label: 'Affected', value: d => num(d.affected), numeric: true },
+  { key: 'homeless', label: 'Homeless', value: d => num(d.homeless), numeric: true },
+  { key: 'damage', label: 'Damage (USD)', value: d => num(d.damage_final_usd), numeric: true, format: v => fmtUsd.format(v) },
+];
+
+function cellText(col, d) {
+  const v = col.value(d);
+  if (v == null || v === '') return '–';
+  if (col.format) return col.format(v);
+  return col.numeric ? fmt.format(v) : v;
+}
+
+// Missing values always sort last, whichever the direction
+function comparator(col, dir) {
+  return (a, b) => {
+    const va = col.value(a);
+    const vb = col.value(b);
+    if (va == null && vb == null) return 0;
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    const c = col.numeric ? va - vb : String(va).localeCompare(String(vb));
+    return dir === 'asc' ? c : -c;
+  };
+}
+
+function initTable(rows, mapCtx) {
+  const pointsLayer = mapCtx.layer('points');
+  let sortKey = 'deaths';
+  let sortDir = 'desc';
+  let page = 0;
+  let current = [];
+
+  const summary = container.append('p').attr('class', 'event-table-summary').attr('aria-live', 'polite');
+  const scroller = container.append('div').attr('class', 'event-table-scroll');
+  const table = scroller.append('table').attr('class', 'event-table');
+  const headRow = table.append('thead').append('tr');
+  const tbody = table.append('tbody');
+  const pager = container.append('div').attr('class', 'event-table-pager control-inline');
+  const prevBtn = pager.append('button').attr('type', 'button').attr('class', 'btn').text('Prev');
+  const pageLabel = pager.append('span').attr('class', 'year-pill');
+  const nextBtn = pager.append('button').attr('type', 'button').attr('class', 'btn').text('Next');
+
+  headRow.selectAll('th')
+    .data(COLUMNS)
+    .join('th')
+    .attr('scope', 'col')
+    .classed('numeric', c => !!c.numeric)
+    .append('button')
+    .attr('type', 'button')
+    .attr('class', 'sort-button')
+    .text(c => c.label)
+    .on('click', (event, c) => {
+      if (sortKey === c.key) sortDir = (sortDir === 'asc') ? 'desc' : 'asc';
+      else { sortKey = c.key; sortDir = c.numeric ? 'desc' : 'asc'; }
+      page = 0;
+      render();
+    });
+
+  prevBtn.on('click', () => { page -= 1; renderPage(); });
+  nextBtn.on('click', () => { page += 1; renderPage(); });
+
+  // Highlight the circle for `d` (or the cluster badge it is folded into)
+  function highlightPoint(d) {
+    pointsLayer.selectAll('circle.disaster-point').classed('row-hover', p => p === d);
+    pointsLayer.selectAll('g.disaster-cluster').classed('row-hover', c => !!d && c.members.some(m => m.d === d));
+  }
+
+  function render() {
+    const active = appState.activeDisasters || new Set(DISASTER_KEYS);
+    const col = COLUMNS.find(c => c.key === sortKey);
+    current = visibleEvents(rows, {
+      year: appState.year,
+      timeWindow: appState.timeWindow,
+      activeDisasters: active,
+      eventFilter: appState.eventFilter,
+    }).sort(comparator(col, sortDir));
+
+    headRow.selectAll('th')
+      .attr('aria-sort', c => c.key === sortKey ? (sortDir === 'asc' ? 'ascending' : 'descending') : 'none')
+      .classed('sorted-asc', c => c.key === sortKey && sortDir === 'asc')
+      .classed('sorted-desc', c => c.key === sortKey && sortDir === 'desc');
+    renderPage();
+  }
+
+  function renderPage() {
+    const pages = Math.max(1, Math.ceil(current.length / PAGE_SIZE));
+    page = Math.max(0, Math.min(page, pages - 1));
+    const slice = current.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    const focused = appState.focusedEvent;
+
+    tbody.selectAll('tr')
+      .data(slice)
+      .join('tr')
+      .classed('is-focused', d => d === focused)
+      .attr('tabindex', 0)
+      .on('mouseenter', (event, d) => highlightPoint(d))
+      .on('mouseleave', () => highlightPoint(null))
+      .on('click', (event, d) => appState.focusEvent(d, 'table'))
+      .on('keydown', (event, d) => {
+        if (event.key === 'Enter') appState.focusEvent(d, 'table');
+      })
+      .selectAll('td')
+      .data(d => COLUMNS.map(c => ({ c, d })))
+      .join('td')
+      .classed('numeric', x => !!x.c.numeric)
+      .text(x => cellText(x.c, x.d));
+
+    const first = current.length ? page * PAGE_SIZE + 1 : 0;
+    const last = page * PAGE_SIZE + slice.length;
+    summary.text(current.length
+      ? `${fmt.format(current.length)} events on the map · showing ${fmt.format(first)}–${fmt.format(last)}`
+      : 'No events on the map for the current year and filters.');
+    pageLabel.text(`Page ${page + 1} of ${pages}`);
+    prevBtn.property('disabled', page === 0);
+    nextBtn.property('disabled', page >= pages - 1);
+  }
+
+  // Bring a focused event's row into view (switching page if needed)
+  function revealRow(d) {
+    const i = current.indexOf(d);
+    if (i < 0) {
+      renderPage();
+      return;
+    }
+    page = Math.floor(i / PAGE_SIZE);
+    renderPage();
+    const row = tbody.selectAll('tr').filter(r => r === d).node();
+    if (row && row.scrollIntoView) row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  appState
+    .on('yearchange.eventTable', render)
+    .on('timewindowchange.eventTable', render)
+    .on('filterchange.eventTable', render)
+    .on('eventfilterchange.eventTable', render)
+    .on('eventfocus.eventTable', ({ event }) => {
+      if (event) revealRow(event);
+      else renderPage();
+    });
+
+  render();
+}
+
+if (!container.empty()) {
+  Promise.all([loadDisasterEvents(), whenMapReady()])
+    .then(([rows, mapCtx]) => initTable(rows, mapCtx))
+    .catch(err => console.error('[event_table] failed to initialise:', err));
+}
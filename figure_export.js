@@ -0,0 +1,361 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS } from "./hazards.js";
+import { visibleYearSpan } from "./event_filters.js";
+import { describeRiskModel, isDefaultRiskModel } from "./risk_model.js";
+import { changeBaselineLabel } from "./risk_classes.js";
+
+// figure_export.js
+// "Save figure" control: downloads the map (#map) or the detail chart
+// (#detail-svg) as a standalone SVG or PNG.
+// - styles from styles.css are inlined from getComputedStyle, so the file
+//   looks the same outside the page (and in Illustrator / Inkscape)
+// - the map figure carries the colour legend: #map-legend is HTML, so its
+//   swatches and ticks are redrawn as SVG under the map
+// - every figure gets a caption (title + year / time window) and a data
+//   attribution footer
+// - PNGs are rasterised through a canvas at the chosen scale (1×–4×)
+
+const figureSelect = document.getElementById('figureTarget');
+const formatSelect = document.getElementById('figureFormat');
+const scaleSelect = document.getElementById('figureScale');
+const saveButton = document.getElementById('figureButton');
+const status = d3.select('#figureStatus');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+const PAD = 16;
+const CAPTION_H = 46;
+const FOOTER_H = 26;
+
+export const ATTRIBUTION =
+  'Data: GDIS + EM-DAT (CRED / UCLouvain) disaster events; prefecture risk index derived from them. ' +
+  'Boundaries: dataofjapan/land.';
+
+// Presentation properties worth carrying over; everything else is left to the
+// SVG defaults so the file stays small
+const STYLE_PROPS = [
+  'fill', 'fill-opacity', 'fill-rule',
+  'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+  'opacity', 'visibility', 'paint-order', 'vector-effect', 'shape-rendering',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'letter-spacing',
+  'text-anchor', 'dominant-baseline',
+];
+
+const FIGURES = {
+  map: {
+    selector: '#map',
+    name: 'japan-risk-map',
+    title: () => 'Japan disaster risk by prefecture',
+    legend: '#map-legend',
+  },
+  detail: {
+    selector: '#detail-svg',
+    name: 'prefecture-risk-detail',
+    title: () => document.getElementById('detail-title')?.textContent.trim() || 'Prefecture risk over time',
+    legend: null,
+  },
+};
+
+function svgEl(name, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) if (v != null) el.setAttribute(k, v);
+  return el;
+}
+
+function viewBoxOf(svg) {
+  const vb = svg.viewBox && svg.viewBox.baseVal;
+  if (vb && vb.width && vb.height) return { x: vb.x, y: vb.y, width: vb.width, height: vb.height };
+  const r = svg.getBoundingClientRect();
+  return { x: 0, y: 0, width: r.width || +svg.getAttribute('width') || 600, height: r.height || +svg.getAttribute('height') || 400 };
+}
+
+// Copy computed styles onto the clone, walking both trees in step. Hidden
+// elements (e.g. circles folded into a cluster badge) are dropped.
+function inlineStyles(source, clone) {
+  const cs = getComputedStyle(source);
+  if (clone.parentNode && cs.display === 'none') {
+    clone.remove();
+    return;
+  }
+  const decl = STYLE_PROPS
+    .map(p => [p, cs.getPropertyValue(p)])
+    .filter(([, v]) => v !== '' && v != null)
+    .map(([p, v]) => `${p}:${v}`)
+    .join(';');
+  if (decl) clone.setAttribute('style', decl);
+  clone.removeAttribute('class');
+  clone.removeAttribute('tabindex');
+  const from = [...source.children];
+  const to = [...clone.children];
+  for (let i = from.length - 1; i >= 0; i--) {
+    if (to[i]) inlineStyles(from[i], to[i]);
+  }
+}
+
+function backgroundOf(el) {
+  for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+    const bg = getComputedStyle(n).backgroundColor;
+    if (bg && bg !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(bg)) return bg;
+  }
+  return '#ffffff';
+}
+
+function captionText(fig) {
+  const [start, end] = visibleYearSpan(appState.year, appState.timeWindow);
+  const years = start === end ? String(end) : `${start}–${end}`;
+  const active = appState.activeDisasters || new Set(DISASTER_KEYS);
+  const hazards = DISASTER_KEYS.filter(k => active.has(k));
+  const hazardText = hazards.length === DISASTER_KEYS.length ? 'all hazards' : (hazards.join(', ') || 'no hazards');
+  const shading = appState.colorMode === 'region' ? 'regions'
+    : appState.colorMode === 'change' ? `change in risk, ${appState.year} vs ${changeBaselineLabel(appState.changeBaseline)}`
+    : appState.colorMode === 'bivariate' ? `human vs economic burden, ${appState.year}`
+    : `risk index for ${appState.year}`;
+  // The map legend note already lists non-default risk weights
+  const model = appState.riskModel;
+  const weights = isDefaultRiskModel(model) ? '' : ` · weights: ${describeRiskModel(model)}`;
+  return {
+    title: fig === 'map' ? `${FIGURES.map.title()}, ${appState.year}` : FIGURES.detail.title(),
+    sub: fig === 'map'
+      ? `Shading: ${shading} · points: ${hazardText}, ${years}`
+      : (appState.comparison.length
+        ? `Selected year ${appState.year} marked · one line per prefecture`
+        : `Selected year ${appState.year} highlighted · dashed points are years without events (decayed risk)` +
+          (document.querySelector('#detail-svg .detail-baseline') ? ' · dashed line: published index' : '')) + weights,
+  };
+}
+
+// Categorical legend (.legend-category items: swatch + label), wrapped into rows
+function categoriesAsSvg(container, categories, width) {
+  const g = svgEl('g', { 'font-family': FONT });
+  const maxW = width - 2 * PAD;
+  let x = 0;
+  let y = 0;
+  for (const item of categories) {
+    const swatch = item.querySelector('.legend-swatch');
+    const label = (item.querySelector('.legend-label') || item).textContent.trim();
+    const itemW = 18 + label.length * 6 + 12;
+    if (x > 0 && x + itemW > maxW) { x = 0; y += 18; }
+    g.appendChild(svgEl('rect', {
+      x, y, width: 12, height: 12, rx: 2, stroke: '#cccccc',
+      fill: swatch ? (getComputedStyle(swatch).backgroundColor || swatch.style.background) : '#cccccc',
+    }));
+    const text = svgEl('text', { x: x + 18, y: y + 10, 'font-size': 11, fill: '#333333' });
+    text.textContent = label;
+    g.appendChild(text);
+    x += itemW;
+  }
+  let height = y + 16;
+  const note = container.querySelector('.legend-note');
+  if (note && note.textContent.trim()) {
+    const text = svgEl('text', { x: 0, y: height + 12, 'font-size': 10, fill: '#555555' });
+    text.textContent = note.textContent.trim();
+    g.appendChild(text);
+    height += 16;
+  }
+  return { node: g, height: height + 8 };
+}
+
+// Rebuild the HTML legend (.legend-swatch divs + .legend-tick spans + note, or
+// .legend-category items) as SVG. Returns { node, height } or null when there
+// is nothing to draw. A legend that is already an <svg> is cloned as-is.
+function legendAsSvg(container, width) {
+  if (!container || !container.childElementCount) return null;
+  const inner = container.querySelector('svg');
+  if (inner) {
+    const box = viewBoxOf(inner);
+    const clone = inner.cloneNode(true);
+    inlineStyles(inner, clone);
+    clone.setAttribute('width', box.width);
+    clone.setAttribute('height', box.height);
+    clone.setAttribute('viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+    const g = svgEl('g');
+    g.appendChild(clone);
+    return { node: g, height: box.height + 8 };
+  }
+
+  const categories = [...container.querySelectorAll('.legend-category')];
+  if (categories.length) return categoriesAsSvg(container, categories, width);
+
+  const swatches = [...container.querySelectorAll('.legend-swatch')];
+  if (!swatches.length) return null;
+  const g = svgEl('g', { 'font-family': FONT });
+  const barW = Math.min(360, width - 2 * PAD);
+  const barH = 12;
+  const each = barW / swatches.length;
+  swatches.forEach((s, i) => {
+    g.appendChild(svgEl('rect', {
+      x: i * each, y: 0, width: each + 0.5, height: barH,
+      fill: getComputedStyle(s).backgroundColor || s.style.background,
+    }));
+  });
+  g.appendChild(svgEl('rect', { x: 0, y: 0, width: barW, height: barH, rx: 2, fill: 'none', stroke: '#cccccc' }));
+
+  const ticks = [...container.querySelectorAll('.legend-tick')];
+  ticks.forEach((t, i) => {
+    const label = svgEl('text', {
+      x: ticks.length > 1 ? (i / (ticks.length - 1)) * barW : 0,
+      y: barH + 13,
+      'font-size': 10,
+      fill: '#555555',
+      'text-anchor': i === 0 ? 'start' : (i === ticks.length - 1 ? 'end' : 'middle'),
+    });
+    label.textContent = t.textContent;
+    g.appendChild(label);
+  });
+
+  let height = barH + (ticks.length ? 18 : 4);
+  const note = container.querySelector('.legend-note');
+  if (note && note.textContent.trim()) {
+    const text = svgEl('text', { x: 0, y: height + 12, 'font-size': 10, fill: '#555555' });
+    text.textContent = note.textContent.trim();
+    g.appendChild(text);
+    height += 16;
+  }
+  return { node: g, height: height + 8 };
+}
+
+/**
+ * Build a standalone SVG for one of the FIGURES.
+ * @param {'map'|'detail'} fig
+ * @returns {{ svg: SVGSVGElement, width: number, height: number }}
+ */
+export function buildFigure(fig) {
+  const spec = FIGURES[fig];
+  if (!spec) throw new Error(`Unknown figure "${fig}"`);
+  const source = document.querySelector(spec.selector);
+  if (!source || !source.childElementCount) throw new Error(`${spec.selector} has nothing to export`);
+
+  const box = viewBoxOf(source);
+  const width = box.width + 2 * PAD;
+  const legend = spec.legend ? legendAsSvg(document.querySelector(spec.legend), width) : null;
+  const bodyTop = CAPTION_H;
+  const legendTop = bodyTop + box.height + 8;
+  const height = legendTop + (legend ? legend.height : 0) + FOOTER_H;
+
+  const out = svgEl('svg', {
+    width, height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': FONT,
+  });
+  out.appendChild(svgEl('rect', { width, height, fill: backgroundOf(source) }));
+
+  const { title, sub } = captionText(fig);
+  const titleText = svgEl('text', { x: PAD, y: 22, 'font-size': 16, 'font-weight': 700, fill: '#111111' });
+  titleText.textContent = title;
+  const subText = svgEl('text', { x: PAD, y: 38, 'font-size': 11, fill: '#555555' });
+  subText.textContent = sub;
+  out.append(titleText, subText);
+
+  const body = source.cloneNode(true);
+  inlineStyles(source, body);
+  body.removeAttribute('id');
+  body.removeAttribute('aria-label');
+  body.setAttribute('x', PAD);
+  body.setAttribute('y', bodyTop);
+  body.setAttribute('width', box.width);
+  body.setAttribute('height', box.height);
+  body.setAttribute('viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+  body.setAttribute('overflow', 'hidden');
+  out.appendChild(body);
+
+  if (legend) {
+    legend.node.setAttribute('transform', `translate(${PAD},${legendTop})`);
+    out.appendChild(legend.node);
+  }
+
+  const footer = svgEl('text', { x: PAD, y: height - 9, 'font-size': 9, fill: '#777777' });
+  footer.textContent = ATTRIBUTION;
+  out.appendChild(footer);
+
+  return { svg: out, width, height };
+}
+
+function serialize(svg) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+function download(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function rasterize(text, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('canvas.toBlob returned nothing')), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('could not render the SVG to an image'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Download a figure.
+ * @param {'map'|'detail'} fig
+ * @param {'svg'|'png'} format
+ * @param {number} scale  PNG pixel ratio
+ */
+export async function saveFigure(fig, format = 'svg', scale = 2) {
+  const { svg, width, height } = buildFigure(fig);
+  const text = serialize(svg);
+  const base = `${FIGURES[fig].name}_${appState.year}`;
+  if (format === 'png') {
+    const blob = await rasterize(text, width, height, scale);
+    const filename = `${base}@${scale}x.png`;
+    download(filename, blob);
+    return { filename, width: Math.round(width * scale), height: Math.round(height * scale) };
+  }
+  const filename = `${base}.svg`;
+  download(filename, new Blob([text], { type: 'image/svg+xml' }));
+  return { filename, width, height };
+}
+
+// The detail chart only exists once a prefecture is selected
+function syncDetailOption() {
+  const opt = figureSelect.querySelector('option[value="detail"]');
+  const hasChart = !!document.querySelector('#detail-svg')?.childElementCount;
+  opt.disabled = !appState.prefecture && !hasChart;
+  if (opt.disabled && figureSelect.value === 'detail') figureSelect.value = 'map';
+}
+
+function syncScale() {
+  scaleSelect.disabled = formatSelect.value !== 'png';
+}
+
+if (figureSelect && formatSelect && scaleSelect && saveButton) {
+  formatSelect.addEventListener('change', syncScale);
+  saveButton.addEventListener('click', async () => {
+    saveButton.disabled = true;
+    try {
+      const done = await saveFigure(figureSelect.value, formatSelect.value, +scaleSelect.value || 1);
+      status.text(`Saved ${done.filename} (${done.width}×${done.height})`);
+    } catch (err) {
+      console.error('[figure_export] export failed:', err);
+      status.text('Export failed – see console');
+    } finally {
+      saveButton.disabled = false;
+    }
+  });
+  appState.on('prefectureselect.figure', syncDetailOption);
+  syncDetailOption();
+  syncScale();
+}
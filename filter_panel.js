@@ -0,0 +1,104 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS } from "./hazards.js";
+import { loadDisasterEvents } from "./event_data.js";
+import { isDefaultEventFilter, subtypesByHazard } from "./event_filters.js";
+
+// filter_panel.js
+// "More filters" panel under the hazard checkboxes: a subtype multi-select per
+// hazard, minimum deaths / damage thresholds and an "exclude imputed damage"
+// toggle. The panel only publishes appState.setEventFilter(); the point layer,
+// timeline and prefecture tooltip pick the change up from there.
+
+const panel = d3.select('#filter-panel');
+const subtypeBox = d3.select('#subtypeFilters');
+const minDeathsInput = document.getElementById('minDeaths');
+const minDamageInput = document.getElementById('minDamage'); // US$ millions
+const excludeImputedInput = document.getElementById('excludeImputed');
+const resetButton = document.getElementById('resetFilters');
+const summaryPill = d3.select('#filterSummary');
+
+const USD_MILLION = 1e6;
+
+function label(hazard) {
+  return hazard.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function buildSubtypeLists(rows) {
+  const subtypes = subtypesByHazard(rows);
+  const groups = subtypeBox.selectAll('fieldset.subtype-group')
+    .data(DISASTER_KEYS.filter(k => subtypes.has(k)), k => k)
+    .join('fieldset')
+    .attr('class', 'subtype-group')
+    .attr('data-hazard', k => k);
+
+  groups.append('legend').text(label);
+  groups.selectAll('label')
+    .data(k => subtypes.get(k).map(s => ({ hazard: k, ...s })))
+    .join('label')
+    .attr('class', 'inline-check')
+    .call(lbl => {
+      lbl.append('input')
+        .attr('type', 'checkbox')
+        .property('checked', true)
+        .attr('value', s => s.subtype)
+        .on('change', publishSubtypes);
+      lbl.append('span').text(s => `${s.subtype} (${s.count})`);
+    });
+}
+
+function publishSubtypes() {
+  const excludedSubtypes = {};
+  subtypeBox.selectAll('fieldset.subtype-group').each(function (hazard) {
+    const off = d3.select(this).selectAll('input').nodes().filter(n => !n.checked).map(n => n.value);
+    if (off.length) excludedSubtypes[hazard] = off;
+  });
+  appState.setEventFilter({ excludedSubtypes }, 'filterpanel');
+}
+
+function publishThresholds() {
+  appState.setEventFilter({
+    minDeaths: Math.max(0, parseInt(minDeathsInput.value) || 0),
+    minDamage: Math.max(0, parseFloat(minDamageInput.value) || 0) * USD_MILLION,
+    excludeImputed: excludeImputedInput.checked,
+  }, 'filterpanel');
+}
+
+// Reflect appState in the controls (restored state, reset, other publishers)
+function syncControls(f) {
+  subtypeBox.selectAll('fieldset.subtype-group').each(function (hazard) {
+    const excluded = f.excludedSubtypes[hazard] || [];
+    d3.select(this).selectAll('input').property('checked', s => !excluded.includes(s.subtype));
+  });
+  minDeathsInput.value = f.minDeaths;
+  minDamageInput.value = f.minDamage / USD_MILLION;
+  excludeImputedInput.checked = f.excludeImputed;
+
+  const active = Object.keys(f.excludedSubtypes).length + (f.minDeaths > 0) + (f.minDamage > 0) + f.excludeImputed;
+  summaryPill.property('hidden', isDefaultEventFilter(f)).text(`${active} active`);
+}
+
+// Subtype groups for unchecked hazards are dimmed; they have no effect
+function syncHazards(active) {
+  subtypeBox.selectAll('fieldset.subtype-group')
+    .classed('is-off', k => !!active && !active.has(k));
+}
+
+if (!panel.empty()) {
+  [minDeathsInput, minDamageInput, excludeImputedInput].forEach(el => el.addEventListener('change', publishThresholds));
+  resetButton.addEventListener('click', () => {
+    appState.setEventFilter({ excludedSubtypes: {}, minDeaths: 0, minDamage: 0, excludeImputed: false }, 'filterpanel');
+  });
+
+  appState
+    .on('eventfilterchange.filterPanel', ({ eventFilter }) => syncControls(eventFilter))
+    .on('filterchange.filterPanel', ({ activeDisasters }) => syncHazards(activeDisasters));
+
+  loadDisasterEvents()
+    .then(rows => {
+      buildSubtypeLists(rows);
+      syncControls(appState.eventFilter);
+      syncHazards(appState.activeDisasters);
+    })
+    .catch(err => console.error('[filter_panel] failed to load events:', err));
+}
@@ -0,0 +1,129 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// geo_loader.js
+// Shared loader for the Japan prefecture boundaries.
+// - Tries a local copy first (./data/japan_prefectures.geojson by default) so
+//   the boundaries load when demoing without network, then each mirror in order.
+// - Accepts either a GeoJSON FeatureCollection or a TopoJSON Topology.
+//   TopoJSON is converted with topojson-client; for plain GeoJSON a topology
+//   is built on the fly so internal borders can still be drawn as one mesh.
+// - Results are cached per source list, so every script asking for the same
+//   boundaries shares a single download.
+// - The topology is returned too ({ topology, object }), so layers can draw
+//   other meshes from the shared arcs with meshWhere() (e.g. region borders).
+
+// Vendored (see vendor/) so TopoJSON and border meshes work without network
+const TOPOJSON_CLIENT_URL = "./vendor/topojson-client.js";
+const TOPOJSON_SERVER_URL = "./vendor/topojson-server.js";
+
+export const DEFAULT_LOCAL_PATH = "./data/japan_prefectures.geojson";
+export const DEFAULT_MIRRORS = [
+  "https://raw.githubusercontent.com/dataofjapan/land/master/japan.geojson",
+  "https://cdn.jsdelivr.net/gh/dataofjapan/land@master/japan.geojson",
+  "https://raw.githubusercontent.com/dataofjapan/land/master/japan.topojson",
+];
+
+const cache = new Map(); // key: joined source list -> Promise<result>
+
+function isTopology(data) {
+  return !!(data && data.type === "Topology" && data.objects);
+}
+
+function isFeatureCollection(data) {
+  return !!(data && data.type === "FeatureCollection" && Array.isArray(data.features) && data.features.length > 0);
+}
+
+// Convert a TopoJSON topology into { geo, borders }. `objectName` picks the
+// object to use; otherwise the first object in the topology is used.
+async function fromTopology(topo, objectName) {
+  const topojson = await import(TOPOJSON_CLIENT_URL);
+  const name = (objectName && topo.objects[objectName]) ? objectName : Object.keys(topo.objects)[0];
+  const obj = topo.objects[name];
+  if (!obj) throw new Error("TopoJSON has no objects");
+
+  const geo = topojson.feature(topo, obj);
+  if (!isFeatureCollection(geo)) throw new Error(`TopoJSON object "${name}" has no features`);
+
+  // Shared arcs only (a !== b) → borders between two prefectures, not coastlines
+  const borders = topojson.mesh(topo, obj, (a, b) => a !== b);
+  return { geo, borders, topology: { topology: topo, object: obj } };
+}
+
+// Plain GeoJSON carries no shared-arc information, so build a topology to
+// extract the internal borders. If that fails the map simply draws polygon
+// strokes without the extra mesh layer.
+async function fromGeoJSON(geo) {
+  let borders = null;
+  let topology = null;
+  try {
+    const [server, client] = await Promise.all([import(TOPOJSON_SERVER_URL), import(TOPOJSON_CLIENT_URL)]);
+    const topo = server.topology({ prefectures: geo }, 1e5);
+    borders = client.mesh(topo, topo.objects.prefectures, (a, b) => a !== b);
+    topology = { topology: topo, object: topo.objects.prefectures };
+  } catch (e) {
+    console.warn("[geo_loader] could not build border mesh from GeoJSON:", e.message);
+  }
+  return { geo, borders, topology };
+}
+
+/**
+ * Mesh of the arcs between neighbouring prefectures that pass `filter`.
+ * @param {{topology: object, object: object}} topology  as returned by loadPrefectureBoundaries
+ * @param {(a: object, b: object) => boolean} filter  called with the two geometry objects
+ *   (their `properties` are the feature properties) sharing an arc
+ * @returns {Promise<object>} MultiLineString
+ */
+export async function meshWhere(topology, filter) {
+  const topojson = await import(TOPOJSON_CLIENT_URL);
+  return topojson.mesh(topology.topology, topology.object, (a, b) => a !== b && filter(a, b));
+}
+
+async function loadFrom(url, objectName) {
+  const data = await d3.json(url);
+  if (isTopology(data)) {
+    return { ...(await fromTopology(data, objectName)), format: "topojson" };
+  }
+  if (isFeatureCollection(data)) {
+    return { ...(await fromGeoJSON(data)), format: "geojson" };
+  }
+  throw new Error("not a GeoJSON FeatureCollection or TopoJSON Topology");
+}
+
+/**
+ * Load prefecture boundaries from the first source that works.
+ * @param {object} [opts]
+ * @param {string|null} [opts.localPath]  local file tried first (null to skip)
+ * @param {string[]}    [opts.mirrors]    remote URLs tried in order afterwards
+ * @param {string}      [opts.objectName] TopoJSON object to read (default: first)
+ * @returns {Promise<{geo: object, borders: object|null, topology: object|null, source: string, format: string}>}
+ */
+export function loadPrefectureBoundaries(opts = {}) {
+  const localPath = (opts.localPath === undefined) ? DEFAULT_LOCAL_PATH : opts.localPath;
+  const mirrors = Array.isArray(opts.mirrors) ? opts.mirrors : DEFAULT_MIRRORS;
+  const sources = [localPath, ...mirrors].filter(Boolean);
+
+  const key = sources.join("|") + "#" + (opts.objectName || "");
+  if (cache.has(key)) return cache.get(key);
+
+  const pending = (async () => {
+    const failures = [];
+    for (const url of sources) {
+      try {
+        const result = await loadFrom(url, opts.objectName);
+        console.log(`[geo_loader] loaded ${result.geo.features.length} prefectures (${result.format}) from ${url}`);
+        return { ...result, source: url };
+      } catch (err) {
+        failures.push(`${url}: ${err.message}`);
+        console.warn(`[geo_loader] ${url} failed, trying next source`);
+      }
+    }
+    throw new Error(`No prefecture boundary source could be loaded:\n  ${failures.join("\n  ")}`);
+  })();
+
+  // Don't cache failures, so a later call (e.g. after reconnecting) retries
+  pending.catch(() => cache.delete(key));
+  cache.set(key, pending);
+  return pending;
+}
+
+export default loadPrefectureBoundaries;
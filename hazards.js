@@ -0,0 +1,68 @@
+// hazards.js
+// Canonical hazard keys and color palettes shared by the point layer,
+// timeline, filters and URL state.
+// Keys match `disaster_type_gdis` in the event CSV once canonicalHazard() has
+// cleaned it up at load time (see event_data.js); checkbox ids in index.html
+// are the CamelCase form (e.g. ExtremeTemperature).
+
+export const DISASTER_KEYS = [
+  'drought','earthquake','extreme temperature','flood',
+  'landslide','storm','volcanic activity'
+];
+
+export function idToCanonical(id) {
+  if (id === 'ExtremeTemperature') return 'extreme temperature';
+  if (id === 'VolcanicActivity')  return 'volcanic activity';
+  return id.toLowerCase();
+}
+
+// Other spellings seen in GDIS / EM-DAT exports
+const HAZARD_ALIASES = {
+  'mass movement (wet)': 'landslide',
+  'volcano': 'volcanic activity',
+  'volcanic': 'volcanic activity',
+  'extreme temperatures': 'extreme temperature',
+};
+
+// Raw hazard label → canonical key, or null if it isn't one we know.
+// Handles stray whitespace ("extreme temperature "), case, snake/kebab case,
+// the checkbox ids ("ExtremeTemperature") and the aliases above.
+export function canonicalHazard(raw) {
+  const trimmed = String(raw ?? '').trim();
+  if (!trimmed) return null;
+  // Split camel case before anything is lowercased
+  const key = trimmed
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+  if (DISASTER_KEYS.includes(key)) return key;
+  return HAZARD_ALIASES[key] || null;
+}
+
+// --- DISASTER COLOR PALETTES (SWAPPABLE) ---
+export const paletteDefault = {
+  'drought': '#4E79A7',
+  'earthquake': '#F28E2B',
+  'extreme temperature': '#E15759',
+  'flood': '#76B7B2',
+  'landslide': '#59A14F',
+  'storm': '#EDC948',
+  'volcanic activity': '#AF7AA1'
+};
+
+// High-contrast preset
+export const paletteHighContrast = {
+  "drought":            '#0072B2', // blue
+  "earthquake":         '#009E73', // green
+  "extreme temperature":'#FF7F00', // gold yellow (never greys)
+  "flood":              '#56B4E9', // light blue
+  "landslide":          '#F0E442', // lemon yellow
+  "storm":              '#CC79A7', // magenta
+  "volcanic activity":  '#76B7B2'  // teal
+};
+
+// Palette object for a name published on appState ('high' | 'default')
+export function paletteFor(name) {
+  return (name === 'high') ? { ...paletteHighContrast } : { ...paletteDefault };
+}
@@ -1,12 +1,26 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadPrefectureBoundaries } from "./geo_loader.js";
+import { publishMapContext, failMapContext } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { buildInsetLayout } from "./map_insets.js";
+import { createCamera } from "./map_camera.js";
 
 // japan_map.js
 // Simple D3 map renderer for Japan prefectures.
-// - Loads ./data/japan_prefectures.geojson if present, otherwise falls back
-//   to a public URL (user may replace with a local copy for reliability).
-// - Renders prefecture polygons, prefecture borders, hover tooltip, and
-//   a click-to-zoom-to-prefecture behavior with an animated fit (respects
-//   prefers-reduced-motion).
+// - Loads boundaries through geo_loader.js: ./data/japan_prefectures.geojson
+//   (or opts.geoLocalPath) first, then the public mirrors (opts.geoMirrors).
+//   GeoJSON and TopoJSON are both accepted.
+// - Renders prefecture polygons, a shared internal-border mesh, hover tooltip, and
+//   a click-to-zoom-to-prefecture behavior. Camera moves are animated by
+//   map_camera.js (instant under prefers-reduced-motion; durations and easing
+//   via opts.camera, e.g. { zoomIn: { duration: 800, easing: 'quad' } }).
+// - Publishes its projection, path and features through map_context.js so the
+//   other layers (points, tooltips, risk shading) draw with the same geometry.
+// - opts.insets (true, or { okinawa, remoteTokyo }) switches to the atlas-style
+//   inset layout from map_insets.js: Okinawa and the Ogasawara islands are
+//   drawn in framed insets and the main islands get the rest of the map.
+//   Off by default; the auto-run below turns it on for a data-insets map element
+//   (index.html sets it).
 
 async function renderJapanMap(opts = {}) {
   const containerSelector = opts.selector || '#map'; // default to #map
@@ -68,9 +82,7 @@ async function renderJapanMap(opts = {}) {
 
   const g = svg.append('g').attr('class', 'map-group');
 
-  // Animation state management
-  let isAnimating = false;
-  let currentAnimationId = null;
+  // Camera state (kept in sync with the zoom transform by the zoom handler)
   let lastClickedPrefecture = null;
   let currentZoomLevel = 1;
   let currentViewCenter = { x: width / 2, y: height / 2 };
@@ -89,38 +101,72 @@ async function renderJapanMap(opts = {}) {
     .style('display', 'none')
     .style('z-index', 1000);
 
-  // Load Japan prefectures GeoJSON from the specified URL
-  const japanPrefecturesUrl = 'https://raw.githubusercontent.com/dataofjapan/land/master/japan.geojson';
-  
+  // Load prefecture boundaries (local copy first, then mirrors)
   let japanGeo = null;
+  let japanBorders = null;
+  let japanTopology = null;
   try {
-    japanGeo = await d3.json(japanPrefecturesUrl);
-    if (!japanGeo || !japanGeo.features || japanGeo.features.length === 0) {
-      throw new Error('Japan prefectures GeoJSON is empty or invalid');
-    }
-    console.log(`Loaded Japan prefectures GeoJSON with ${japanGeo.features.length} prefectures`);
+    const boundaries = await loadPrefectureBoundaries({
+      localPath: opts.geoLocalPath,
+      mirrors: opts.geoMirrors,
+      objectName: opts.geoObjectName,
+    });
+    japanGeo = boundaries.geo;
+    japanBorders = boundaries.borders;
+    japanTopology = boundaries.topology;
+    console.log(`Loaded Japan prefectures with ${japanGeo.features.length} prefectures from ${boundaries.source}`);
   } catch (err) {
-    console.error('Failed to load Japan prefectures GeoJSON:', err);
-    svg.append('text').attr('x', 20).attr('y', 40).text('Failed to load Japan GeoJSON. See console.');
+    console.error('Failed to load Japan prefecture boundaries:', err);
+    svg.append('text').attr('x', 20).attr('y', 40)
+      .text('Failed to load Japan prefecture boundaries (local copy and mirrors). See console.');
+    failMapContext(err);
     return;
   }
 
   // projection + path. Use fitSize to compute a scale that fits the features
-  const projection = d3.geoMercator();
-  const path = d3.geoPath().projection(projection);
+  let projection = d3.geoMercator();
+  let path = d3.geoPath().projection(projection);
+  let projectPoint = projection;
+  let insets = [];
 
-  // fit the projection to the features
-  try {
-    projection.fitSize([width, height], japanGeo);
-  } catch (e) {
-    console.warn('fitSize failed, using default translate/scale', e.message);
-    projection.scale(2000).center([138, 36.5]).translate([width / 2, height / 2]);
+  if (opts.insets) {
+    const layout = buildInsetLayout(japanGeo, { width, height, insets: opts.insets });
+    ({ projection, path, insets } = layout);
+    projectPoint = layout.project;
+  } else {
+    // fit the projection to the features
+    try {
+      projection.fitSize([width, height], japanGeo);
+    } catch (e) {
+      console.warn('fitSize failed, using default translate/scale', e.message);
+      projection.scale(2000).center([138, 36.5]).translate([width / 2, height / 2]);
+    }
   }
 
   const enter = ('onpointerenter' in window) ? 'pointerenter' : 'mouseenter';
   const leave = ('onpointerleave' in window) ? 'pointerleave' : 'mouseleave';
   const move  = ('onpointermove'  in window) ? 'pointermove'  : 'mousemove';
 
+  // Inset frames go underneath the prefectures they hold
+  const insetFrames = g.append('g')
+    .attr('class', 'map-insets')
+    .style('pointer-events', 'none')
+    .selectAll('g')
+    .data(insets)
+    .join('g')
+    .attr('class', d => `map-inset map-inset-${d.key}`);
+  insetFrames.append('rect')
+    .attr('class', 'map-inset-frame')
+    .attr('x', d => d.box[0][0])
+    .attr('y', d => d.box[0][1])
+    .attr('width', d => d.box[1][0] - d.box[0][0])
+    .attr('height', d => d.box[1][1] - d.box[0][1]);
+  insetFrames.append('text')
+    .attr('class', 'map-inset-label')
+    .attr('x', d => d.box[0][0] + 6)
+    .attr('y', d => d.box[0][1] + 14)
+    .text(d => d.label);
+
   // draw prefectures
   const prefectures = g.selectAll('path.prefecture')
     .data(japanGeo.features)
@@ -131,13 +177,56 @@ async function renderJapanMap(opts = {}) {
     .attr('stroke', '#666')
     .attr('stroke-width', 0.6);
 
+  // Shared internal borders as a single mesh on top of the fills (drawn once
+  // per border instead of twice, once for each neighbouring polygon).
+  if (japanBorders) {
+    g.append('path')
+      .datum(japanBorders)
+      .attr('class', 'prefecture-borders')
+      .attr('d', path)
+      .attr('fill', 'none')
+      .attr('stroke', '#555')
+      .attr('stroke-width', 0.8)
+      .attr('stroke-linejoin', 'round')
+      .style('pointer-events', 'none');
+  }
+
+  // Stable id used to tell "same prefecture clicked again" from a new one
+  function prefectureIdOf(d) {
+    return (d.properties && d.properties.name_en) ||
+           (d.properties && d.properties.name) ||
+           JSON.stringify(path.centroid(d));
+  }
+
+  // Display name for a feature (English where the GeoJSON provides it)
+  function prefectureName(d) {
+    const props = (d && d.properties) || {};
+    return props.__engName || props.name_en || props.name_1 || props.NAME_1 ||
+           props.prefecture || props.pref_name || props.nam || props.name || null;
+  }
+
+  // Find the feature for a { norm, name } selection published on appState
+  // (names are compared loosely: "Miyagi", "Miyagi Ken", "miyagi-ken", "Hokkai Do")
+  function nameKeys(v) {
+    const base = String(v).toLowerCase().trim();
+    return [base.replace(/[\s-]/g, ''), base.replace(/[\s-]+(ken|fu|to|do)$/, '').replace(/[\s-]/g, '')];
+  }
+  function findPrefectureFeature(sel) {
+    if (!sel) return null;
+    const wanted = new Set([sel.norm, sel.name].filter(Boolean).flatMap(nameKeys));
+    return japanGeo.features.find(f => {
+      const props = f.properties || {};
+      return [props.__prefNorm, prefectureName(f)].filter(Boolean)
+        .flatMap(nameKeys)
+        .some(k => wanted.has(k));
+    }) || null;
+  }
+
   // Function to highlight a prefecture with animated orange background
   function highlightPrefecture(targetPrefectureId) {
     // Find the prefecture element by matching its data
     prefectures.each(function(d) {
-      const currentId = (d.properties && d.properties.name_en) || 
-                       (d.properties && d.properties.name) || 
-                       JSON.stringify(path.centroid(d));
+      const currentId = prefectureIdOf(d);
       
       if (currentId === targetPrefectureId) {
         const element = d3.select(this);
@@ -161,292 +250,108 @@ async function renderJapanMap(opts = {}) {
     });
   }
 
+  // Zoom/move the camera to a prefecture feature. Clicking the same prefecture
+  // again while zoomed in returns to the full view. `target` ([x, y] in map
+  // coordinates) aims the camera at a specific spot inside the prefecture,
+  // e.g. an event location, instead of its centroid; it never zooms out.
+  function focusPrefecture(d, target = null) {
+    const prefectureId = prefectureIdOf(d);
+    const isSamePrefecture = !target && (lastClickedPrefecture === prefectureId && currentZoomLevel > 1.5);
+    if (isSamePrefecture) {
+      console.log('Zooming out to center');
+      return flyHome('zoomOut');
+    }
+    return flyTo(d, { target });
+  }
+
+  // Red dashed line (with end markers) from the current view centre to the
+  // next prefecture: held for 0.8s, then faded out over 0.8s
+  function drawMoveIndicator(from, to) {
+    const indicator = g.append('g').attr('class', 'zoom-indicator');
+    indicator.append('line')
+      .attr('x1', from[0]).attr('y1', from[1])
+      .attr('x2', to[0]).attr('y2', to[1])
+      .attr('stroke', '#bc002d')
+      .attr('stroke-width', 3)
+      .attr('stroke-dasharray', '8,4');
+    indicator.selectAll('circle')
+      .data([from, to])
+      .join('circle')
+      .attr('cx', p => p[0])
+      .attr('cy', p => p[1])
+      .attr('r', 4)
+      .attr('fill', '#bc002d');
+    indicator.transition().delay(800).duration(800).attr('opacity', 0).remove();
+  }
+
+  /**
+   * Fly the camera to a prefecture ({ norm, name } selection or a boundary
+   * feature). From the full view it zooms in along an arc; when already
+   * zoomed in it moves across at the same zoom level.
+   * @param {object} prefecture
+   * @param {object} [options]  { target: [x, y], duration, easing } – target
+   *                            overrides the centroid, the rest this flight's motion
+   * @returns {Promise<boolean>} true on arrival, false if interrupted
+   */
+  function flyTo(prefecture, { target = null, ...motion } = {}) {
+    const d = (prefecture && prefecture.type === 'Feature') ? prefecture : findPrefectureFeature(prefecture);
+    if (!d) return Promise.resolve(false);
+    const prefectureId = prefectureIdOf(d);
+    const centroid = target || path.centroid(d);
+    const isDifferentPrefecture = currentZoomLevel > 1.5 &&
+      (lastClickedPrefecture && (target || lastClickedPrefecture !== prefectureId));
+    g.selectAll('.zoom-indicator').interrupt().remove();
+    lastClickedPrefecture = prefectureId;
+
+    if (isDifferentPrefecture) {
+      // PREFECTURE TO PREFECTURE: keep the zoom level, highlight as we go
+      console.log('Moving from current prefecture to new prefecture');
+      if (!camera.reducedMotion) drawMoveIndicator([currentViewCenter.x, currentViewCenter.y], centroid);
+      highlightPrefecture(prefectureId);
+      return camera.flyTo({ center: centroid }, 'move', motion).then(settled);
+    }
+
+    // ZOOM IN: swing along the underside of a circle to 4x
+    console.log('Zooming in to prefecture');
+    return camera.flyTo({ zoom: 4, center: centroid }, 'zoomIn', motion).then(arrived => {
+      if (arrived) highlightPrefecture(prefectureId);
+      return settled(arrived);
+    });
+  }
+
+  // Back to the full view
+  function flyHome(kind = 'step', motion = {}) {
+    lastClickedPrefecture = null;
+    g.selectAll('.zoom-indicator').interrupt().remove();
+    return camera.flyTo({ zoom: 1, center: [width / 2, height / 2] }, kind, motion).then(settled);
+  }
+
+  // Publish the camera once a flight lands (interrupted flights stay quiet;
+  // whatever interrupted them publishes instead)
+  function settled(arrived) {
+    if (arrived) publishView();
+    return arrived;
+  }
+
+  // Selections published by other widgets (search, third parties) move the
+  // camera too. Skip our own clicks and prefectures we're already zoomed into,
+  // since focusPrefecture() would treat those as "zoom back out".
+  appState.on('prefectureselect.map', ({ prefecture, source }) => {
+    // URL restores carry their own camera (viewchange), so don't fly there too
+    if (source === 'map' || source === 'url' || !prefecture) return;
+    const feature = findPrefectureFeature(prefecture);
+    if (!feature) return;
+    if (lastClickedPrefecture === prefectureIdOf(feature) && currentZoomLevel > 1.5) return;
+    focusPrefecture(feature);
+  });
+
   prefectures
     .on('click', function (event, d) {
-      // Cancel any running animation and start new one immediately
-      if (isAnimating) {
-        if (currentAnimationId) {
-          cancelAnimationFrame(currentAnimationId);
-        }
-        isAnimating = false;
-      }
-      
-      // Get the center of the SVG
-      const svgCenterX = width / 2;
-      const svgCenterY = height / 2;
-      
-      // Get the centroid of the clicked prefecture
-      const centroid = path.centroid(d);
-      const prefCenterX = centroid[0];
-      const prefCenterY = centroid[1];
-      
-      // Remove any existing zoom indicators
-      g.selectAll('.zoom-indicator').remove();
-      
-      // Check if this is the same prefecture that was just clicked (zoom out case)
-      const prefectureId = (d.properties && d.properties.name_en) || 
-                          (d.properties && d.properties.name) || 
-                          JSON.stringify(centroid);
-      
-      const isSamePrefecture = (lastClickedPrefecture === prefectureId && currentZoomLevel > 1.5);
-      const isDifferentPrefecture = (lastClickedPrefecture && lastClickedPrefecture !== prefectureId);
-      
-      if (isSamePrefecture) {
-        // ZOOM OUT: Return to center with smooth animation
-        console.log('Zooming out to center');
-        
-        // Animate zoom out along straight line
-        const animationDuration = 1500; // Faster zoom out
-        const startTime = performance.now();
-        const startZoom = currentZoomLevel;
-        const startViewX = currentViewCenter.x;
-        const startViewY = currentViewCenter.y;
-        
-        function animateZoomOut() {
-          const currentTime = performance.now();
-          const elapsed = currentTime - startTime;
-          const progress = Math.min(elapsed / animationDuration, 1);
-          
-          // Ease-out for smooth deceleration
-          const eased = 1 - Math.pow(1 - progress, 3);
-          
-          // Interpolate position along straight line
-          const currentViewX = startViewX + (svgCenterX - startViewX) * eased;
-          const currentViewY = startViewY + (svgCenterY - startViewY) * eased;
-          
-          // Interpolate zoom level back to 1
-          const zoomLevel = startZoom + (1 - startZoom) * eased;
-          
-          // Apply transform
-          const transform = d3.zoomIdentity
-            .translate(width / 2, height / 2)
-            .scale(zoomLevel)
-            .translate(-currentViewX, -currentViewY);
-          
-          svg.call(zoom.transform, transform);
-          
-          // Update current state
-          currentZoomLevel = zoomLevel;
-          currentViewCenter.x = currentViewX;
-          currentViewCenter.y = currentViewY;
-          
-          if (progress < 1 && isAnimating) {
-            currentAnimationId = requestAnimationFrame(animateZoomOut);
-          } else {
-            // Animation complete
-            isAnimating = false;
-            currentAnimationId = null;
-            lastClickedPrefecture = null;
-            currentZoomLevel = 1;
-            currentViewCenter.x = svgCenterX;
-            currentViewCenter.y = svgCenterY;
-            
-            setTimeout(() => {
-              g.selectAll('.zoom-indicator').remove();
-            }, 300);
-          }
-        }
-        
-        isAnimating = true;
-        currentAnimationId = requestAnimationFrame(animateZoomOut);
-        
-      } else if (isDifferentPrefecture) {
-        // PREFECTURE TO PREFECTURE: Move from current prefecture to new prefecture
-        console.log('Moving from current prefecture to new prefecture');
-        
-        // Draw a straight line from current view center to new prefecture center
-        g.append('line')
-          .attr('class', 'zoom-indicator')
-          .attr('x1', currentViewCenter.x)
-          .attr('y1', currentViewCenter.y)
-          .attr('x2', prefCenterX)
-          .attr('y2', prefCenterY)
-          .attr('stroke', '#bc002d')
-          .attr('stroke-width', 3)
-          .attr('stroke-dasharray', '8,4');
-        
-        // Add markers at both ends
-        g.append('circle')
-          .attr('class', 'zoom-indicator')
-          .attr('cx', currentViewCenter.x)
-          .attr('cy', currentViewCenter.y)
-          .attr('r', 4)
-          .attr('fill', '#bc002d');
-        
-        g.append('circle')
-          .attr('class', 'zoom-indicator')
-          .attr('cx', prefCenterX)
-          .attr('cy', prefCenterY)
-          .attr('r', 4)
-          .attr('fill', '#bc002d');
-        
-        // Animate movement along straight line (maintain zoom level)
-        const distance = Math.sqrt(Math.pow(prefCenterX - currentViewCenter.x, 2) + Math.pow(prefCenterY - currentViewCenter.y, 2));
-        const movementDuration = Math.max(800, Math.min(1200, distance * 2)); // Scale movement duration based on distance (800ms-1200ms)
-        const redLineFadeDuration = 1600; // Red line fade always takes 1.6 seconds regardless of distance
-        const fadeHoldDuration = 800; // Hold red markers at 100% for first 0.8 seconds
-        const fadeOutDuration = 800; // Then fade from 100% to 0% over next 0.8 seconds
-        const startTime = performance.now();
-        const startZoom = currentZoomLevel;
-        const startViewX = currentViewCenter.x;
-        const startViewY = currentViewCenter.y;
-        
-        function animatePrefectureMove() {
-          const currentTime = performance.now();
-          const elapsed = currentTime - startTime;
-          const movementProgress = Math.min(elapsed / movementDuration, 1);
-          const fadeProgress = Math.min(elapsed / redLineFadeDuration, 1);
-          
-          // Smooth ease-in-out for natural movement
-          const eased = movementProgress < 0.5 
-            ? 2 * movementProgress * movementProgress 
-            : 1 - Math.pow(-2 * movementProgress + 2, 2) / 2;
-          
-          // Calculate opacity: hold at 100% for first 0.8s, then fade over next 0.8s (always 1.6s total)
-          let opacity = 1; // Default to full opacity
-          if (elapsed > fadeHoldDuration) {
-            // After 0.8s, start fading over the next 0.8s
-            const fadeElapsed = elapsed - fadeHoldDuration;
-            const opacityFadeProgress = Math.min(fadeElapsed / fadeOutDuration, 1);
-            opacity = 1 - opacityFadeProgress; // Fade from 1 to 0
-          }
-          
-          // Update red marker opacity
-          g.selectAll('.zoom-indicator')
-            .attr('opacity', opacity);
-          
-          // Interpolate position along straight line (maintain zoom level)
-          const currentViewX = startViewX + (prefCenterX - startViewX) * eased;
-          const currentViewY = startViewY + (prefCenterY - startViewY) * eased;
-          
-          // Apply transform (keep same zoom level)
-          const transform = d3.zoomIdentity
-            .translate(width / 2, height / 2)
-            .scale(startZoom)
-            .translate(-currentViewX, -currentViewY);
-          
-          svg.call(zoom.transform, transform);
-          
-          // Update current state only if movement is not complete
-          if (movementProgress < 1) {
-            currentViewCenter.x = currentViewX;
-            currentViewCenter.y = currentViewY;
-          }
-          
-          // Continue animation until both movement and red line fade are complete
-          if ((movementProgress < 1 || fadeProgress < 1) && isAnimating) {
-            currentAnimationId = requestAnimationFrame(animatePrefectureMove);
-          } else {
-            // Animation complete
-            isAnimating = false;
-            currentAnimationId = null;
-            
-            setTimeout(() => {
-              g.selectAll('.zoom-indicator').remove();
-            }, 400);
-          }
-        }
-        
-        // Start golden highlighting animation simultaneously with red fade
-        highlightPrefecture(prefectureId);
-        
-        isAnimating = true;
-        lastClickedPrefecture = prefectureId; // Set this immediately when starting prefecture-to-prefecture
-        currentAnimationId = requestAnimationFrame(animatePrefectureMove);
-        
-      } else {
-        // ZOOM IN: Normal circular animation
-        console.log('Zooming in to prefecture');
-        
-        // Calculate the midpoint between SVG center and prefecture center
-        const midX = (svgCenterX + prefCenterX) / 2;
-        const midY = (svgCenterY + prefCenterY) / 2;
-        
-        // Calculate the distance between SVG center and prefecture center (for radius)
-        const distance = Math.sqrt(Math.pow(prefCenterX - svgCenterX, 2) + Math.pow(prefCenterY - svgCenterY, 2));
-        const radius = distance / 2; // Half the distance since circle is centered at midpoint
-        
-        // Calculate angles for the circular path (underside of circle)
-        // Angle from circle center to SVG center
-        const startAngle = Math.atan2(svgCenterY - midY, svgCenterX - midX);
-        // Angle from circle center to prefecture center  
-        const endAngle = Math.atan2(prefCenterY - midY, prefCenterX - midX);
-      
-      // Ensure we go the "underside" way (clockwise if prefecture is to the right)
-      let angleSpan = endAngle - startAngle;
-      if (angleSpan > Math.PI) angleSpan -= 2 * Math.PI;
-      if (angleSpan < -Math.PI) angleSpan += 2 * Math.PI;
-      
-      // Create optimized zoom animation following the circular path over 2 seconds
-      const animationDuration = 2000;
-      const startTime = performance.now();
-      
-      // Pre-calculate some values for performance
-      const zoomRange = 3; // from 1x to 4x zoom
-      const halfWidth = width / 2;
-      const halfHeight = height / 2;
-      
-      function animate() {
-        const currentTime = performance.now();
-        const elapsed = currentTime - startTime;
-        const progress = Math.min(elapsed / animationDuration, 1);
-        
-        // Optimized easing function (ease-in-out cubic)
-        const eased = progress < 0.5 
-          ? 4 * progress * progress * progress 
-          : 1 - Math.pow(-2 * progress + 2, 3) / 2;
-        
-        // Calculate current position along the circular path
-        const currentAngle = startAngle + (angleSpan * eased);
-        const currentX = midX + radius * Math.cos(currentAngle);
-        const currentY = midY + radius * Math.sin(currentAngle);
-        
-        // Calculate zoom level (start at 1x, end at 4x)
-        const zoomLevel = 1 + (zoomRange * eased);
-        
-        // Create and apply transform directly (no D3 transition)
-        const transform = d3.zoomIdentity
-          .translate(halfWidth, halfHeight)
-          .scale(zoomLevel)
-          .translate(-currentX, -currentY);
-        
-        // Apply transform immediately without transition for smooth 60fps animation
-        svg.call(zoom.transform, transform);
-        
-        // Update current state
-        currentZoomLevel = zoomLevel;
-        currentViewCenter.x = currentX;
-        currentViewCenter.y = currentY;
-        
-        // Continue animation if not complete
-        if (progress < 1 && isAnimating) {
-          currentAnimationId = requestAnimationFrame(animate);
-        } else {
-          // Animation complete
-          isAnimating = false;
-          currentAnimationId = null;
-          
-          // Highlight the prefecture with golden background
-          highlightPrefecture(prefectureId);
-          
-          // Clean up indicators after a brief pause
-          setTimeout(() => {
-            g.selectAll('.zoom-indicator').remove();
-          }, 500);
-        }
-      }
-      
-      // Start the zoom-in animation
-      isAnimating = true;
-      lastClickedPrefecture = prefectureId; // Set this immediately when starting zoom-in
-      currentAnimationId = requestAnimationFrame(animate);
-      }
-      
-      console.log(`Clicked prefecture center: (${prefCenterX}, ${prefCenterY})`);
-      console.log(`SVG center: (${svgCenterX}, ${svgCenterY})`);
-      
-      console.log(`Clicked prefecture center: (${prefCenterX}, ${prefCenterY})`);
-      console.log(`SVG center: (${svgCenterX}, ${svgCenterY})`);
+      // Shift-click adds the prefecture to the detail comparison instead
+      // (detail_compare.js) and leaves the camera and selection alone
+      if (event.shiftKey) return;
+      focusPrefecture(d);
+      appState.selectPrefecture({ norm: (d.properties && d.properties.__prefNorm) || null, name: prefectureName(d) }, 'map');
     })
     .on('mouseover', function (event, d) {
       // Preserve red risk profile colors, only change grey/default colors to blue hover
@@ -522,50 +427,168 @@ async function renderJapanMap(opts = {}) {
       if (!anyHovered) document.body.classList.remove('pref-hover-active');
     });
 
-  // Set up D3 zoom behavior for the animation
+  // Focused events (search results, table rows) fly to the event's location
+  // with the same animation, inside whichever prefecture contains it. Points
+  // clicked on the map are already in view.
+  appState.on('eventfocus.map', ({ event, source }) => {
+    if (!event || source === 'map') return;
+    const xy = project([+event.longitude, +event.latitude]);
+    if (!xy) return;
+    const lonLat = [+event.longitude, +event.latitude];
+    const feature = japanGeo.features.find(f => d3.geoContains(f, lonLat))
+      || findPrefectureFeature({ norm: event.prefecture_norm, name: event.prefecture });
+    if (!feature) return;
+    focusPrefecture(feature, xy);
+  });
+
+  // Set up D3 zoom behavior for the animation. translateExtent keeps wheel
+  // and drag gestures from panning Japan off-screen; programmatic moves go
+  // through clampTransform() for the same limits.
+  const MIN_ZOOM = 1;
+  const MAX_ZOOM = 10;
+  const viewportExtent = [[0, 0], [width, visibleHeight]];
   const zoom = d3.zoom()
-    .scaleExtent([1, 10])
+    .scaleExtent([MIN_ZOOM, MAX_ZOOM])
+    .extent(viewportExtent)
+    .translateExtent([[0, 0], [width, height]])
     .on('zoom', function(event) {
       g.attr('transform', event.transform);
+      // Track the camera for every move (gestures, animations, controls) so the
+      // next animation starts from where the map really is.
+      const t = event.transform;
+      currentZoomLevel = t.k;
+      currentViewCenter.x = (width / 2 - t.x) / t.k;
+      currentViewCenter.y = (height / 2 - t.y) / t.k;
+    })
+    .on('end', function(event) {
+      if (event.sourceEvent) publishView();
     });
 
+  // Clamp a transform to the zoom limits and the map bounds (what the archived
+  // tester4.js clampTransform attempted, but applied to the zoom state itself
+  // rather than only to the drawn group, so gestures and animations agree)
+  function clampTransform(t) {
+    const k = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, t.k));
+    return zoom.constrain()(d3.zoomIdentity.translate(t.x, t.y).scale(k), viewportExtent, zoom.translateExtent());
+  }
+
   // Apply zoom behavior to SVG
   svg.call(zoom);
 
-  // Utility: if GeoJSON features are a MultiPolygon / many polygons, draw their borders
-  function topoToBorders(geojson) {
-    // If this looks like TopoJSON (has objects), try to extract; otherwise
-    // simply return a FeatureCollection of boundaries merged.
-    try {
-      if (geojson.type === 'Topology' && geojson.objects) {
-        // some public files may be TopoJSON; convert quickly using topojson.feature
-        // but we don't include topojson lib here; fallback to iterating objects
-        const feats = [];
-        for (const k of Object.keys(geojson.objects)) {
-          // naive: assume geometry is already usable
-          // Attempt to construct a FeatureCollection-like thing if possible
-          // If this fails, just return the original geojson
-          try {
-            // topojson isn't available in this minimal script; skip conversion.
-          } catch (e) {}
-        }
-        return geojson; // fallback
-      }
-    } catch (e) {}
-    // For ordinary FeatureCollection, return a MultiPolygon-like union path
-    return { type: 'FeatureCollection', features: geojson.features };
+  const camera = createCamera({ svg, zoom, width, height, clamp: clampTransform, motion: opts.camera });
+
+  // Report the settled camera so other widgets (e.g. URL state) can follow it
+  function publishView() {
+    appState.setView({ zoom: currentZoomLevel, center: [currentViewCenter.x, currentViewCenter.y] }, 'map');
+  }
+
+  // Jump (no animation) to a view published elsewhere, e.g. restored from the
+  // URL. When zoomed in, the selected prefecture counts as the last clicked
+  // one so clicking it again zooms back out as usual.
+  function applyView(view) {
+    stopAnimation();
+    svg.call(zoom.transform, clampTransform(viewTransform(view.zoom, view.center)));
+    syncLastClicked();
+  }
+
+  function stopAnimation() {
+    camera.stop();
+    g.selectAll('.zoom-indicator').interrupt().remove();
+  }
+
+  // Transform that puts map point `center` in the middle of the view at zoom `k`
+  function viewTransform(k, center) {
+    return d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(k)
+      .translate(-center[0], -center[1]);
+  }
+
+  // While zoomed in, the selected prefecture counts as the last clicked one
+  function syncLastClicked() {
+    const focused = (currentZoomLevel > 1.5) ? findPrefectureFeature(appState.prefecture) : null;
+    lastClickedPrefecture = focused ? prefectureIdOf(focused) : null;
+  }
+
+  appState.on('viewchange.map', ({ view, source }) => {
+    if (source !== 'map') applyView(view);
+  });
+  if (appState.view) applyView(appState.view);
+
+  // ----------------- Camera controls (zoom buttons, minimap) -----------------
+  // Short eased move used by the buttons; publishes the view once settled
+  function moveCamera(k, center, duration) {
+    g.selectAll('.zoom-indicator').interrupt().remove();
+    const options = (duration == null) ? {} : { duration };
+    return camera.flyTo({ zoom: Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, k)), center }, 'step', options).then(arrived => {
+      if (arrived) syncLastClicked();
+      return settled(arrived);
+    });
+  }
+
+  function zoomBy(factor) {
+    return moveCamera(currentZoomLevel * factor, [currentViewCenter.x, currentViewCenter.y]);
+  }
+
+  function resetView() {
+    return flyHome('step');
+  }
+
+  // Fit the selected prefecture into view; false when nothing is selected
+  function fitToSelection() {
+    const feature = findPrefectureFeature(appState.prefecture);
+    if (!feature) return false;
+    const [[x0, y0], [x1, y1]] = path.bounds(feature);
+    const k = 0.85 / Math.max((x1 - x0) / width, (y1 - y0) / visibleHeight);
+    moveCamera(k, [(x0 + x1) / 2, (y0 + y1) / 2], 500);
+    return true;
   }
 
+  // Recentre without animation (minimap drag); `settle` publishes the view
+  function panTo(center, settle = true) {
+    stopAnimation();
+    svg.call(zoom.transform, clampTransform(viewTransform(currentZoomLevel, center)));
+    if (settle) publishView();
+  }
+
+  // Get-or-create a named layer inside the zoomable group (e.g. 'points')
+  function layer(name) {
+    return g.selectAll(`g.${name}`)
+      .data([null])
+      .join('g')
+      .attr('class', name);
+  }
+
+  // Project [lon, lat] into map-group coordinates; null when off-projection
+  function project(lonLat) {
+    const xy = projectPoint(lonLat);
+    return (xy && Number.isFinite(xy[0]) && Number.isFinite(xy[1])) ? xy : null;
+  }
+
+  const mapContext = publishMapContext({
+    svg, g, prefectures,
+    features: japanGeo,
+    topology: japanTopology,
+    projection, path,
+    width, height, visibleHeight,
+    project, layer, insets,
+    zoom, zoomLimits: [MIN_ZOOM, MAX_ZOOM],
+    zoomBy, resetView, fitToSelection, panTo,
+    flyTo, camera,
+  });
+
   console.log('Japan map rendered');
-  return { svg, g, prefectures };
+  return mapContext;
 }
 
 // Auto-run when loaded directly in the browser (module script include)
 if (typeof window !== 'undefined') {
   // call and catch to avoid unhandled promise rejections
+  // Insets stay off unless the page opts in with <svg id="map" data-insets>
   const opts = {
     clipBottomPercent: 0,
     postClipWidth: "100%",
+    insets: 'insets' in (document.querySelector('#map')?.dataset || {}),
   };
   renderJapanMap(opts).catch(err => console.error('renderJapanMap error:', err));
 }
@@ -0,0 +1,30 @@
+// live_region.js
+// A single visually hidden aria-live region shared by the map widgets.
+// Tooltips only appear on hover or keyboard focus and are invisible to screen
+// readers, so their content is also announced here as plain text.
+
+const REGION_ID = 'map-announcer';
+let last = '';
+
+function region() {
+  let el = document.getElementById(REGION_ID);
+  if (!el) {
+    el = document.createElement('div');
+    el.id = REGION_ID;
+    el.className = 'sr-only';
+    el.setAttribute('role', 'status');
+    el.setAttribute('aria-live', 'polite');
+    el.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(el);
+  }
+  return el;
+}
+
+// Repeating the same message (e.g. a tooltip refreshed by autoplay with
+// unchanged numbers) is skipped so it isn't read out again and again
+export function announce(text) {
+  const message = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (!message || message === last) return;
+  last = message;
+  region().textContent = message;
+}
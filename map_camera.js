@@ -0,0 +1,163 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// map_camera.js
+// Camera animation for the Japan map. One requestAnimationFrame loop drives
+// every fly-to (zoom in, prefecture-to-prefecture move, zoom out, button
+// steps); japan_map.js decides where to go, the camera decides how.
+// - prefers-reduced-motion: moves jump straight to the target (the setting is
+//   watched, so changing it in the OS applies without a reload)
+// - each kind of move has a duration and easing that renderJapanMap
+//   opts.camera or camera.configure() can override
+// - flyTo() returns a promise: true once the camera arrives, false when a
+//   newer move or a wheel / drag gesture interrupted it
+
+const EASINGS = {
+  linear: d3.easeLinear,
+  quad: d3.easeQuadInOut,
+  cubic: d3.easeCubicInOut,
+  'cubic-out': d3.easeCubicOut,
+  sin: d3.easeSinInOut,
+};
+
+// duration: ms, or a function of the distance travelled (map units)
+// route: 'arc' swings along the underside of a circle, 'line' goes straight
+export const DEFAULT_MOTION = {
+  zoomIn: { duration: 2000, easing: 'cubic', route: 'arc' },
+  move: { duration: dist => Math.max(800, Math.min(1200, dist * 2)), easing: 'quad', route: 'line' },
+  zoomOut: { duration: 1500, easing: 'cubic-out', route: 'line' },
+  step: { duration: 350, easing: 'cubic-out', route: 'line' },
+};
+
+function easeFor(easing) {
+  if (typeof easing === 'function') return easing;
+  return EASINGS[easing] || d3.easeCubicInOut;
+}
+
+function lineRoute(a, b) {
+  return t => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Half circle through both points, bulging below the straight line
+function arcRoute(a, b) {
+  const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  const radius = Math.hypot(b[0] - a[0], b[1] - a[1]) / 2;
+  if (radius < 0.5) return lineRoute(a, b);
+  const start = Math.atan2(a[1] - mid[1], a[0] - mid[0]);
+  const end = Math.atan2(b[1] - mid[1], b[0] - mid[0]);
+  let span = end - start;
+  if (span > Math.PI) span -= 2 * Math.PI;
+  if (span < -Math.PI) span += 2 * Math.PI;
+  return t => {
+    const angle = start + span * t;
+    return [mid[0] + radius * Math.cos(angle), mid[1] + radius * Math.sin(angle)];
+  };
+}
+
+/**
+ * @param {object} o
+ * @param {object} o.svg      d3 selection the zoom behaviour is attached to
+ * @param {object} o.zoom     d3.zoom behaviour
+ * @param {number} o.width    map width (the view centre is width / 2, height / 2)
+ * @param {number} o.height
+ * @param {Function} [o.clamp]  transform → transform, applied to every frame
+ * @param {object} [o.motion]   overrides for DEFAULT_MOTION, per kind
+ */
+export function createCamera({ svg, zoom, width, height, clamp = t => t, motion = {} }) {
+  const settings = {};
+  const media = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  let reduced = !!(media && media.matches);
+  if (media && media.addEventListener) media.addEventListener('change', e => { reduced = e.matches; });
+
+  let frame = null;
+  let settle = null;  // resolve() of the flight in progress
+
+  function configure(overrides = {}) {
+    for (const kind of Object.keys({ ...DEFAULT_MOTION, ...overrides })) {
+      settings[kind] = { ...DEFAULT_MOTION[kind], ...settings[kind], ...overrides[kind] };
+    }
+    return camera;
+  }
+
+  // Zoom level and map point at the centre of the view
+  function current() {
+    const t = d3.zoomTransform(svg.node());
+    return { zoom: t.k, center: [(width / 2 - t.x) / t.k, (height / 2 - t.y) / t.k] };
+  }
+
+  function apply(k, center) {
+    svg.call(zoom.transform, clamp(d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(k)
+      .translate(-center[0], -center[1])));
+  }
+
+  function stop() {
+    if (frame) cancelAnimationFrame(frame);
+    frame = null;
+    if (settle) {
+      const resolve = settle;
+      settle = null;
+      resolve(false);
+    }
+  }
+
+  /**
+   * Fly to `target` ({ zoom, center }; zoom defaults to the current level).
+   * @param {object} target
+   * @param {string} kind        'zoomIn' | 'move' | 'zoomOut' | 'step'
+   * @param {object} [options]   { duration, easing, route } for this flight only
+   * @returns {Promise<boolean>}
+   */
+  function flyTo(target, kind = 'move', options = {}) {
+    stop();
+    const o = { ...(settings[kind] || settings.move), ...options };
+    const from = current();
+    const k0 = from.zoom;
+    const k1 = target.zoom ?? k0;
+    const c1 = target.center || from.center;
+    const distance = Math.hypot(c1[0] - from.center[0], c1[1] - from.center[1]);
+    const duration = typeof o.duration === 'function' ? o.duration(distance) : +o.duration;
+
+    if (reduced || !(duration > 0)) {
+      apply(k1, c1);
+      return Promise.resolve(true);
+    }
+
+    const ease = easeFor(o.easing);
+    const route = (o.route === 'arc' ? arcRoute : lineRoute)(from.center, c1);
+    return new Promise(resolve => {
+      settle = resolve;
+      let start = null;
+      const tick = (now) => {
+        if (start == null) start = now;
+        const p = Math.min(1, (now - start) / duration);
+        const e = ease(p);
+        apply(k0 + (k1 - k0) * e, route(e));
+        if (p < 1) {
+          frame = requestAnimationFrame(tick);
+        } else {
+          frame = null;
+          settle = null;
+          resolve(true);
+        }
+      };
+      frame = requestAnimationFrame(tick);
+    });
+  }
+
+  // A wheel or drag gesture takes over from any flight in progress
+  zoom.on('start.camera', (event) => {
+    if (event.sourceEvent) stop();
+  });
+
+  const camera = {
+    flyTo,
+    stop,
+    configure,
+    current,
+    get reducedMotion() { return reduced; },
+    get animating() { return frame != null; },
+  };
+  configure(motion);
+  return camera;
+}
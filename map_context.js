@@ -0,0 +1,56 @@
+// map_context.js
+// Geometry shared by every layer drawn on the Japan map.
+// japan_map.js publishes the context once the prefecture paths exist; other
+// scripts await it instead of re-downloading boundaries, re-fitting their own
+// projection or reaching into `g.map-group`. Because every consumer uses the
+// same projection, changing opts.width / opts.height / clipping in
+// renderJapanMap keeps points and overlays aligned automatically.
+//
+// Context shape:
+//   svg, g          – the map <svg> and its zoomable `g.map-group`
+//   prefectures     – selection of path.prefecture
+//   features        – FeatureCollection the projection was fitted to
+//   topology        – { topology, object } for geo_loader.meshWhere(), or null
+//                     when no topology could be built
+//   projection, path
+//   width, height   – projection extent; visibleHeight is the cropped viewBox height
+//   project([lon, lat]) → [x, y] in map-group coordinates, or null
+//   layer(name)     – get-or-create a `g.<name>` inside the map group
+//   insets          – [{ key, label, box, projection }] inset frames (empty
+//                     unless renderJapanMap ran with opts.insets); `path` and
+//                     `project` already route features and points into them
+//   zoom            – the d3.zoom behaviour (add namespaced listeners, e.g.
+//                     zoom.on('zoom.minimap', …)); zoomLimits = [min, max]
+//   zoomBy(factor), resetView(), fitToSelection(), panTo([x, y], settle)
+//                   – camera moves, clamped to the map bounds
+//   flyTo(prefecture, { target, duration, easing }) → Promise<boolean>
+//                   – animated fly-to ({ norm, name } or a feature); false if interrupted
+//   camera          – map_camera.js instance (configure(), stop(), reducedMotion)
+
+let current = null;
+let resolveReady;
+let rejectReady;
+const ready = new Promise((resolve, reject) => {
+  resolveReady = resolve;
+  rejectReady = reject;
+});
+// Avoid unhandled-rejection noise when nobody is waiting on a failed map
+ready.catch(() => {});
+
+export function publishMapContext(ctx) {
+  current = ctx;
+  resolveReady(ctx);
+  return ctx;
+}
+
+export function failMapContext(err) {
+  rejectReady(err);
+}
+
+export function getMapContext() {
+  return current;
+}
+
+export function whenMapReady() {
+  return ready;
+}
@@ -0,0 +1,89 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+
+// map_controls.js
+// On-map camera controls drawn over #map:
+// - zoom in / zoom out / reset / fit-to-selection buttons (top right)
+// - a minimap (top left) with the current viewport as a rectangle; dragging
+//   on the minimap pans the main map
+// The camera itself stays in japan_map.js (mapCtx.zoomBy, resetView,
+// fitToSelection, panTo), which clamps every move to the map bounds.
+
+const ZOOM_STEP = 1.6;
+const MINIMAP_WIDTH = 140;
+
+function initControls(mapCtx) {
+  const host = d3.select(mapCtx.svg.node().parentNode);
+  host.classed('has-map-controls', true);
+  const [minZoom, maxZoom] = mapCtx.zoomLimits;
+
+  // ----------------- Zoom buttons -----------------
+  const bar = host.append('div')
+    .attr('class', 'map-zoom-controls')
+    .attr('role', 'toolbar')
+    .attr('aria-label', 'Map zoom');
+
+  const buttons = [
+    { key: 'in', text: '+', label: 'Zoom in', action: () => mapCtx.zoomBy(ZOOM_STEP) },
+    { key: 'out', text: '−', label: 'Zoom out', action: () => mapCtx.zoomBy(1 / ZOOM_STEP) },
+    { key: 'reset', text: '⟲', label: 'Reset view', action: () => mapCtx.resetView() },
+    { key: 'fit', text: '⤢', label: 'Fit to selected prefecture', action: () => mapCtx.fitToSelection() },
+  ];
+  const buttonSel = bar.selectAll('button')
+    .data(buttons)
+    .join('button')
+    .attr('type', 'button')
+    .attr('class', d => `map-zoom-btn map-zoom-${d.key}`)
+    .attr('aria-label', d => d.label)
+    .attr('title', d => d.label)
+    .text(d => d.text)
+    .on('click', (event, d) => d.action());
+
+  // ----------------- Minimap -----------------
+  const { width, visibleHeight } = mapCtx;
+  const mini = host.append('svg')
+    .attr('class', 'map-minimap')
+    .attr('viewBox', `0 0 ${width} ${visibleHeight}`)
+    .attr('width', MINIMAP_WIDTH)
+    .attr('height', Math.round(MINIMAP_WIDTH * visibleHeight / width))
+    .attr('aria-hidden', 'true');
+
+  mini.append('g')
+    .attr('class', 'minimap-land')
+    .selectAll('path')
+    .data(mapCtx.features.features)
+    .join('path')
+    .attr('d', mapCtx.path);
+
+  const viewport = mini.append('rect').attr('class', 'minimap-viewport');
+
+  function update(t) {
+    const k = t.k;
+    viewport
+      .attr('x', -t.x / k)
+      .attr('y', -t.y / k)
+      .attr('width', width / k)
+      .attr('height', visibleHeight / k);
+    // The whole map is in view at minimum zoom, so the minimap has nothing to add
+    host.classed('map-zoomed', k > minZoom + 0.01);
+    buttonSel.property('disabled', d =>
+      (d.key === 'in' && k >= maxZoom - 1e-6) ||
+      (d.key === 'out' && k <= minZoom + 1e-6) ||
+      (d.key === 'reset' && k <= minZoom + 1e-6 && Math.abs(t.x) < 0.5 && Math.abs(t.y) < 0.5) ||
+      (d.key === 'fit' && !appState.prefecture));
+  }
+
+  // Drag anywhere on the minimap to centre the main map there
+  mini.call(d3.drag()
+    .on('start drag', (event) => mapCtx.panTo(d3.pointer(event, mini.node()), false))
+    .on('end', (event) => mapCtx.panTo(d3.pointer(event, mini.node()), true)));
+
+  mapCtx.zoom.on('zoom.minimap', (event) => update(event.transform));
+  appState.on('prefectureselect.mapControls', () => update(d3.zoomTransform(mapCtx.svg.node())));
+  update(d3.zoomTransform(mapCtx.svg.node()));
+}
+
+whenMapReady()
+  .then(initControls)
+  .catch(err => console.warn('[map_controls] map not available; zoom controls disabled', err));
@@ -0,0 +1,149 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { prefectureKey } from "./prefecture_names.js";
+
+// map_insets.js
+// Inset layout for renderJapanMap (opts.insets), in the style of Japanese
+// statistical atlases: the main islands are fitted to the map on their own,
+// and Okinawa and the Ogasawara (remote Tokyo) islands are drawn in framed
+// insets, each with its own Mercator projection.
+//
+// The layout provides drop-in replacements for the plain projection / path:
+// - path(d)        one path string per prefecture, so Tokyo stays a single
+//                  path.prefecture even though its remote islands are drawn
+//                  in the inset; hover, click and shading need no changes
+// - path.centroid / path.bounds use the prefecture's largest part (zooming to
+//   Tokyo frames the mainland part, not the whole Pacific)
+// - project([lon, lat]) routes a point into the inset that holds it, so
+//   disaster points land on the inset polygons
+
+// Inset frames as fractions of the map size, placed in open sea: Okinawa in
+// the Sea of Japan corner, Ogasawara in the Pacific above the marker legend
+export const INSETS = {
+  okinawa: { label: 'Okinawa', box: [[0.02, 0.03], [0.30, 0.38]] },
+  remoteTokyo: { label: 'Ogasawara Is. (Tokyo)', box: [[0.80, 0.50], [0.97, 0.76]] },
+};
+
+const INSET_PADDING = 12;
+
+// Tokyo polygons south of this latitude are the Ogasawara / Volcano islands
+// (the Izu islands, which stay on the main map, end around 32.4°N)
+const REMOTE_TOKYO_MAX_LAT = 30;
+
+function featureKey(f) {
+  const props = (f && f.properties) || {};
+  return prefectureKey(props.name_en || props.nam || props.name_1 || props.NAME_1 ||
+                       props.prefecture || props.pref_name || props.name || '');
+}
+
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function asFeature(f, polygons) {
+  return { type: 'Feature', properties: f.properties, geometry: { type: 'MultiPolygon', coordinates: polygons } };
+}
+
+function normalizeOptions(insets) {
+  if (insets === true) return { okinawa: true, remoteTokyo: true };
+  return { okinawa: !!(insets && insets.okinawa), remoteTokyo: !!(insets && insets.remoteTokyo) };
+}
+
+/**
+ * Build the inset layout.
+ * @param {object} geo       prefecture FeatureCollection
+ * @param {object} o         { width, height, insets: true | { okinawa, remoteTokyo } }
+ * @returns {{ projection, path, project, insets: { key, label, box, projection }[] }}
+ */
+export function buildInsetLayout(geo, { width, height, insets }) {
+  const wanted = normalizeOptions(insets);
+  const parts = new Map();   // feature → [{ inset: key | null, geom }]
+  const insetGeoms = { okinawa: [], remoteTokyo: [] };
+  let okinawaFeature = null;
+
+  for (const f of geo.features) {
+    const key = featureKey(f);
+    if (wanted.okinawa && key === 'okinawa') {
+      okinawaFeature = f;
+      parts.set(f, [{ inset: 'okinawa', geom: f }]);
+      insetGeoms.okinawa.push(f);
+      continue;
+    }
+    if (wanted.remoteTokyo && key === 'tokyo') {
+      const polys = polygonsOf(f.geometry);
+      const remote = polys.filter(p => d3.geoCentroid({ type: 'Polygon', coordinates: p })[1] < REMOTE_TOKYO_MAX_LAT);
+      if (remote.length && remote.length < polys.length) {
+        const main = polys.filter(p => !remote.includes(p));
+        parts.set(f, [{ inset: null, geom: asFeature(f, main) }, { inset: 'remoteTokyo', geom: asFeature(f, remote) }]);
+        // Frame the Ogasawara / Volcano chain; outliers such as Okinotorishima
+        // or Minamitorishima are clipped by the inset frame
+        const chain = remote.filter(p => {
+          const [lon] = d3.geoCentroid({ type: 'Polygon', coordinates: p });
+          return lon > 139 && lon < 143;
+        });
+        insetGeoms.remoteTokyo.push(asFeature(f, chain.length ? chain : remote));
+        continue;
+      }
+    }
+    parts.set(f, [{ inset: null, geom: f }]);
+  }
+
+  // Main islands fill the map; the insets sit in the sea around them
+  const mainGeo = {
+    type: 'FeatureCollection',
+    features: [...parts.values()].flat().filter(p => !p.inset).map(p => p.geom),
+  };
+  const projection = d3.geoMercator()
+    .fitExtent([[width * 0.02, height * 0.02], [width * 0.98, height * 0.98]], mainGeo);
+
+  const insetList = [];
+  const projections = { main: projection };
+  for (const key of Object.keys(INSETS)) {
+    if (!insetGeoms[key].length) continue;
+    const [[fx0, fy0], [fx1, fy1]] = INSETS[key].box;
+    const box = [[fx0 * width, fy0 * height], [fx1 * width, fy1 * height]];
+    const p = d3.geoMercator()
+      .fitExtent([[box[0][0] + INSET_PADDING, box[0][1] + INSET_PADDING + 10], [box[1][0] - INSET_PADDING, box[1][1] - INSET_PADDING]],
+        { type: 'FeatureCollection', features: insetGeoms[key] })
+      .clipExtent(box);
+    projections[key] = p;
+    insetList.push({ key, label: INSETS[key].label, box, projection: p });
+  }
+
+  const geoPaths = Object.fromEntries(Object.entries(projections).map(([k, p]) => [k, d3.geoPath(p)]));
+  const pathFor = inset => geoPaths[inset || 'main'] || geoPaths.main;
+  const partsOf = obj => parts.get(obj) || [{ inset: null, geom: obj }];
+
+  // Largest drawn part of a feature (by projected area)
+  function mainPart(obj) {
+    const list = partsOf(obj);
+    if (list.length === 1) return list[0];
+    return d3.greatest(list, p => pathFor(p.inset).area(p.geom)) || list[0];
+  }
+
+  function path(obj) {
+    const d = partsOf(obj).map(p => pathFor(p.inset)(p.geom) || '').join('');
+    return d || null;
+  }
+  path.centroid = obj => { const p = mainPart(obj); return pathFor(p.inset).centroid(p.geom); };
+  path.bounds = obj => { const p = mainPart(obj); return pathFor(p.inset).bounds(p.geom); };
+  path.area = obj => d3.sum(partsOf(obj), p => pathFor(p.inset).area(p.geom));
+
+  // Which inset (if any) a [lon, lat] point is drawn in
+  function insetFor([lon, lat]) {
+    if (projections.okinawa &&
+        ((lat < 27 && lon < 131.5) || (lat < 28 && lon < 129 && d3.geoContains(okinawaFeature, [lon, lat])))) {
+      return 'okinawa';
+    }
+    if (projections.remoteTokyo && lat < REMOTE_TOKYO_MAX_LAT && lon > 136) return 'remoteTokyo';
+    return null;
+  }
+
+  function project(lonLat) {
+    return projections[insetFor(lonLat) || 'main'](lonLat);
+  }
+
+  return { projection, path, project, insets: insetList };
+}
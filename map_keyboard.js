@@ -0,0 +1,111 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { geographicOrder, prefectureKey, prefectureLabel } from "./prefecture_names.js";
+
+// map_keyboard.js
+// Keyboard access to the prefecture polygons drawn by japan_map.js.
+// - roving tabindex: the map is a single Tab stop; arrow keys move between
+//   prefectures in geographic (JIS) order, Home / End jump to Hokkaido / Okinawa
+// - Enter or Space acts like a click (zoom to the prefecture, select it, pin
+//   its tooltip); pressing it again zooms back out, as with the mouse.
+//   Shift+Enter is shift-click: add to / remove from the detail comparison
+// - Escape clears the selection and resets the camera
+// Focusing a prefecture shows its tooltip (prefecture_tooltip.js listens for
+// focus) and the tooltip text is read out through live_region.js.
+
+function initKeyboard(mapCtx) {
+  const { svg, prefectures } = mapCtx;
+  const nodes = geographicOrder(prefectures.data(), d3.geoCentroid)
+    .map(d => prefectures.filter(p => p === d).node());
+  if (!nodes.length) return;
+
+  // role="img" would hide the prefectures from assistive tech
+  svg.attr('role', 'group')
+    .attr('aria-label', 'Map of Japan by prefecture')
+    .attr('aria-describedby', document.getElementById('map-keyboard-help') ? 'map-keyboard-help' : null);
+
+  prefectures
+    .attr('tabindex', -1)
+    .attr('role', 'button')
+    .attr('aria-label', d => prefectureLabel(d))
+    .attr('aria-pressed', 'false');
+
+  let current = nodes[0];
+  d3.select(current).attr('tabindex', 0);
+
+  function setCurrent(node, focus) {
+    if (!node) return;
+    d3.select(current).attr('tabindex', -1);
+    current = node;
+    d3.select(current).attr('tabindex', 0);
+    if (focus) current.focus();
+  }
+
+  function nodeFor(sel) {
+    if (!sel) return null;
+    const wanted = new Set([sel.norm, sel.name].filter(Boolean).map(prefectureKey));
+    return nodes.find(n => {
+      const d = d3.select(n).datum();
+      return [d.properties?.__prefNorm, prefectureLabel(d)].some(v => wanted.has(prefectureKey(v)));
+    }) || null;
+  }
+
+  function reset() {
+    appState.selectPrefecture(null, 'keyboard');
+    if (appState.focusedEvent) appState.focusEvent(null, 'keyboard');
+    mapCtx.resetView();
+  }
+
+  svg.on('keydown.keyboard', (event) => {
+    const node = event.target.closest && event.target.closest('path.prefecture');
+    if (!node) return;
+    const i = nodes.indexOf(node);
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        setCurrent(nodes[Math.min(nodes.length - 1, i + 1)], true);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        setCurrent(nodes[Math.max(0, i - 1)], true);
+        break;
+      case 'Home':
+        setCurrent(nodes[0], true);
+        break;
+      case 'End':
+        setCurrent(nodes[nodes.length - 1], true);
+        break;
+      case 'Enter':
+      case ' ':
+        // Reuse the mouse path: japan_map zooms + selects, the tooltip pins;
+        // with Shift held it toggles the prefecture in the comparison
+        node.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, shiftKey: event.shiftKey }));
+        break;
+      case 'Escape':
+        reset();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+
+  // Mouse clicks move the Tab stop too, so Tab returns to the last prefecture used
+  prefectures.on('click.keyboard', function () { setCurrent(this, false); });
+
+  appState.on('prefectureselect.keyboard', ({ prefecture }) => {
+    const node = nodeFor(prefecture);
+    prefectures.attr('aria-pressed', function () { return String(this === node); });
+    if (node) setCurrent(node, false);
+  });
+
+  // Labels switch to the cleaned English names once risk_profile has stamped them
+  prefectures.on('focus.keyboard', function (event, d) {
+    d3.select(this).attr('aria-label', prefectureLabel(d));
+  });
+}
+
+whenMapReady()
+  .then(initKeyboard)
+  .catch(err => console.warn('[map_keyboard] map not available; keyboard navigation disabled', err));
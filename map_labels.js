@@ -0,0 +1,113 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { prefectureKey, prefectureLabel } from "./prefecture_names.js";
+
+// map_labels.js
+// Prefecture name labels for the Japan map (toggle: #showLabels).
+// - Labels sit at each prefecture's centroid (its largest part, so Tokyo is
+//   labelled on Honshu) and keep the same on-screen size at every zoom level.
+// - Collision avoidance is greedy: the selected prefecture first, then
+//   prefectures by drawn area; a label that would overlap one already placed
+//   is nudged above / below its centroid, and hidden if it still overlaps.
+// - Zoom-dependent: prefectures smaller on screen than MIN_FEATURE_PX get no
+//   label, so the dense Kanto / Kansai names appear as you zoom in.
+
+const LABEL_PX = 11;        // font size on screen (viewBox units)
+const HALO_PX = 3;
+const CHAR_WIDTH = 0.58;    // average glyph width as a fraction of the font size
+const LABEL_PAD = 2;
+const MIN_FEATURE_PX = 22;  // smallest prefecture (bounding-box diagonal) that gets a label
+
+const toggle = d3.select('#showLabels');
+
+function overlaps(a, b) {
+  return a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+}
+
+function initLabels(mapCtx) {
+  const { path } = mapCtx;
+  const layer = mapCtx.layer('prefecture-labels')
+    .attr('aria-hidden', 'true')
+    .style('pointer-events', 'none');
+
+  // Geometry doesn't change, so measure every prefecture once
+  const items = mapCtx.prefectures.data().map(d => {
+    const [[x0, y0], [x1, y1]] = path.bounds(d);
+    return { d, centroid: path.centroid(d), size: Math.hypot(x1 - x0, y1 - y0), area: path.area(d) };
+  }).filter(it => Number.isFinite(it.centroid[0]) && Number.isFinite(it.centroid[1]));
+
+  const labels = layer.selectAll('text')
+    .data(items)
+    .join('text')
+    .attr('class', 'prefecture-label')
+    .attr('text-anchor', 'middle')
+    .attr('dominant-baseline', 'central');
+
+  let frame = null;
+
+  function layout() {
+    frame = null;
+    if (layer.style('display') === 'none') return;
+    const t = d3.zoomTransform(mapCtx.svg.node());
+    const viewW = mapCtx.width;
+    const viewH = mapCtx.visibleHeight;
+    layer.attr('font-size', LABEL_PX / t.k).attr('stroke-width', HALO_PX / t.k);
+    // Names stay readable above the fills, borders and points
+    if (layer.node().nextSibling) layer.raise();
+
+    const selected = appState.prefecture;
+    const selectedKeys = new Set([selected?.norm, selected?.name].filter(Boolean).map(prefectureKey));
+    const isSelected = it => selectedKeys.has(prefectureKey(it.d.properties?.__prefNorm || prefectureLabel(it.d)));
+
+    const order = items.slice().sort((a, b) => (isSelected(b) - isSelected(a)) || (b.area - a.area));
+    const placed = [];
+    const shown = new Map(); // item → dy (map units)
+    for (const it of order) {
+      const text = prefectureLabel(it.d);
+      if (!isSelected(it) && it.size * t.k < MIN_FEATURE_PX) continue;
+      const [sx, sy] = t.apply(it.centroid);
+      const w = text.length * LABEL_PX * CHAR_WIDTH + 2 * LABEL_PAD;
+      const h = LABEL_PX + 2 * LABEL_PAD;
+      for (const dy of [0, -h, h]) {
+        const box = { x0: sx - w / 2, x1: sx + w / 2, y0: sy + dy - h / 2, y1: sy + dy + h / 2 };
+        if (box.x1 < 0 || box.x0 > viewW || box.y1 < 0 || box.y0 > viewH) break;
+        if (placed.some(p => overlaps(p, box))) continue;
+        placed.push(box);
+        shown.set(it, dy / t.k);
+        break;
+      }
+    }
+
+    labels
+      .text(it => prefectureLabel(it.d))
+      .attr('x', it => it.centroid[0])
+      .attr('y', it => it.centroid[1] + (shown.get(it) || 0))
+      .classed('is-selected', it => isSelected(it))
+      .style('display', it => shown.has(it) ? null : 'none');
+  }
+
+  // Lay out at most once per frame while zooming or flying
+  function schedule() {
+    if (frame == null) frame = requestAnimationFrame(layout);
+  }
+
+  function setVisible(on) {
+    layer.style('display', on ? null : 'none');
+    if (on) layout();
+  }
+
+  mapCtx.zoom.on('zoom.labels', schedule);
+  // Shading raises the point layer; put the names back on top afterwards
+  appState
+    .on('prefectureselect.labels', schedule)
+    .on('yearchange.labels', schedule)
+    .on('colormodechange.labels', schedule);
+  toggle.on('change', () => setVisible(toggle.property('checked')));
+
+  setVisible(toggle.empty() || toggle.property('checked'));
+}
+
+whenMapReady()
+  .then(initLabels)
+  .catch(err => console.warn('[map_labels] map not available; labels disabled', err));
@@ -0,0 +1,142 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { meshWhere } from "./geo_loader.js";
+import { loadPrefectureRegions } from "./prefecture_regions.js";
+import { prefectureLabel } from "./prefecture_names.js";
+
+// map_regions.js
+// Region / main-island layer for the Japan map (groups from
+// prefecture_regions.js):
+// - thicker borders where neighbouring prefectures belong to different
+//   regions (Tohoku | Kanto | …) or islands, built from the shared arcs of
+//   the boundary topology so they line up with the prefecture borders
+// - "color by region" (appState colorMode "region"): each prefecture is filled
+//   with its group's color and #map-legend lists the groups. Switching back
+//   to "risk" hands the fills and the legend back to risk_profile.js.
+// Controls: #colorMode, #regionGrouping (region | island), #showRegionBorders,
+// and #aggregation (appState aggregation, shaded by risk_profile.js); picking
+// a region / island aggregation switches the borders to the same grouping.
+
+const LEGEND = d3.select('#map-legend');
+const colorSelect = d3.select('#colorMode');
+const groupingSelect = d3.select('#regionGrouping');
+const aggregationSelect = d3.select('#aggregation');
+const bordersToggle = d3.select('#showRegionBorders');
+
+// Muted qualitative colors (eight, one per region) so red stays the risk color
+const GROUP_COLORS = d3.schemeSet2;
+const NO_GROUP_FILL = '#f9fbfd';
+
+const GROUP_NOTES = {
+  region: 'Colors show the eight regions of Japan.',
+  island: 'Colors show the main islands (Okinawa: Ryukyu Islands).',
+};
+
+function initRegions(mapCtx, regions) {
+  let grouping = groupingSelect.empty() ? 'region' : groupingSelect.property('value');
+  const meshes = new Map(); // grouping → Promise<MultiLineString | null>
+
+  const groupOfFeature = d => regions.groupOf(d?.properties?.__prefNorm || prefectureLabel(d), grouping);
+
+  // ----------------- Region borders -----------------
+  const borderLayer = mapCtx.layer('region-borders').style('pointer-events', 'none');
+  // Sit right above the prefecture borders, below points and labels
+  const prefBorders = mapCtx.g.select('path.prefecture-borders').node();
+  if (prefBorders) prefBorders.parentNode.insertBefore(borderLayer.node(), prefBorders.nextSibling);
+
+  function meshFor(key) {
+    if (!mapCtx.topology) return Promise.resolve(null);
+    if (!meshes.has(key)) {
+      const groupOf = geom => regions.groupOf(prefectureLabel(geom), key);
+      meshes.set(key, meshWhere(mapCtx.topology, (a, b) => {
+        const ga = groupOf(a);
+        const gb = groupOf(b);
+        return !!(ga && gb && ga !== gb);
+      }).catch(err => {
+        console.warn('[map_regions] could not build region borders:', err.message);
+        return null;
+      }));
+    }
+    return meshes.get(key);
+  }
+
+  async function drawBorders() {
+    const key = grouping;
+    const mesh = await meshFor(key);
+    if (key !== grouping) return; // grouping changed while the mesh was building
+    borderLayer.selectAll('path.region-borders')
+      .data(mesh ? [mesh] : [])
+      .join('path')
+      .attr('class', 'region-borders')
+      .attr('d', mapCtx.path);
+    borderLayer.style('display', bordersToggle.empty() || bordersToggle.property('checked') ? null : 'none');
+  }
+
+  // ----------------- Color by region -----------------
+  function drawLegend(color) {
+    LEGEND.selectAll('*').remove();
+    const box = LEGEND.append('div').attr('class', 'legend legend--categorical');
+    const items = box.append('div').attr('class', 'legend-categories')
+      .selectAll('div')
+      .data(color.domain())
+      .join('div')
+      .attr('class', 'legend-category');
+    items.append('span').attr('class', 'legend-swatch').style('background', d => color(d));
+    items.append('span').attr('class', 'legend-label').text(d => d);
+    box.append('div').attr('class', 'legend-note').text(GROUP_NOTES[grouping]);
+  }
+
+  function paint() {
+    if (appState.colorMode !== 'region') return;
+    const color = d3.scaleOrdinal(regions.groups[grouping], GROUP_COLORS);
+    mapCtx.prefectures.attr('fill', d => {
+      const group = groupOfFeature(d);
+      return group ? color(group) : NO_GROUP_FILL;
+    });
+    drawLegend(color);
+    mapCtx.layer('points').raise();
+  }
+
+  // ----------------- Controls -----------------
+  colorSelect
+    .property('value', appState.colorMode)
+    .on('change', () => appState.setColorMode(colorSelect.property('value'), 'colormode'));
+
+  function setGrouping(next) {
+    if (!next || next === grouping) return;
+    grouping = next;
+    groupingSelect.property('value', next);
+    drawBorders();
+    paint();
+  }
+
+  groupingSelect.on('change', () => setGrouping(groupingSelect.property('value')));
+
+  aggregationSelect
+    .property('value', appState.aggregation)
+    .on('change', () => appState.setAggregation(aggregationSelect.property('value'), 'aggregation'));
+
+  bordersToggle.on('change', () => {
+    borderLayer.style('display', bordersToggle.property('checked') ? null : 'none');
+  });
+
+  appState
+    .on('colormodechange.regions', ({ colorMode }) => {
+      colorSelect.property('value', colorMode);
+      paint();
+    })
+    .on('aggregationchange.regions', ({ aggregation }) => {
+      aggregationSelect.property('value', aggregation);
+      if (aggregation !== 'prefecture') setGrouping(aggregation);
+    });
+
+  if (appState.aggregation !== 'prefecture') grouping = appState.aggregation;
+  groupingSelect.property('value', grouping);
+  drawBorders();
+  paint();
+}
+
+Promise.all([whenMapReady(), loadPrefectureRegions()])
+  .then(([mapCtx, regions]) => initRegions(mapCtx, regions))
+  .catch(err => console.warn('[map_regions] map or prefecture key not available; region layer disabled', err));
@@ -0,0 +1,164 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { DISASTER_KEYS } from "./hazards.js";
+
+// marker_encoding.js
+// Helpers for the disaster point layer's marker modes:
+// - size encoding: a sqrt scale (area ∝ value) over one impact metric, plus a
+//   nested-circle legend drawn in the map's corner
+// - clustering: greedy screen-space grouping of overlapping events, a badge
+//   showing the count and hazard mix, and "spider" positions to fan a
+//   cluster's members out around it
+// Radii here are in screen units at zoom 1; the point layer divides by the
+// current zoom so markers and the legend stay the same size on screen.
+
+const fmtCount = d3.format(',');
+const fmtUsd = v => '$' + d3.format('.2~s')(v).replace('G', 'B');
+
+export const SIZE_METRICS = {
+  none:             { label: 'Fixed size' },
+  deaths:           { label: 'Deaths', format: fmtCount },
+  total_affected:   { label: 'Total affected', format: fmtCount },
+  damage_final_usd: { label: 'Damage (USD)', format: fmtUsd },
+};
+
+export const FIXED_RADIUS = 3.5;
+export const MIN_RADIUS = 2;     // events with no recorded value stay visible
+export const MAX_RADIUS = 18;
+export const CLUSTER_RADIUS = 12; // events closer than this on screen are grouped
+
+export function metricValue(d, metric) {
+  const v = +d[metric];
+  return (Number.isFinite(v) && v > 0) ? v : 0;
+}
+
+// Scale is fitted to every event (not just the visible year) so a marker means
+// the same thing as the slider moves. Returns null for the fixed-size mode.
+export function sizeScale(metric, rows) {
+  if (!SIZE_METRICS[metric] || metric === 'none') return null;
+  const max = d3.max(rows, d => metricValue(d, metric)) || 1;
+  return d3.scaleSqrt().domain([0, max]).range([0, MAX_RADIUS]).clamp(true);
+}
+
+export function markerRadius(d, metric, scale) {
+  if (!scale) return FIXED_RADIUS;
+  return Math.max(MIN_RADIUS, scale(metricValue(d, metric)));
+}
+
+// Round down to one significant digit so legend values read cleanly and never
+// exceed the scale's domain
+function roundValue(v) {
+  const p = 10 ** Math.floor(Math.log10(v));
+  return Math.floor(v / p) * p;
+}
+
+/**
+ * Draw (or remove) the size legend inside `svg`, anchored at its bottom-right.
+ * @param {d3.Selection} svg     the map <svg> (outside the zoomed group)
+ * @param {object} opts          { metric, scale, width, height, clustered }
+ */
+export function drawMarkerLegend(svg, { metric, scale, width, height, clustered }) {
+  const showSize = !!scale;
+  const g = svg.selectAll('g.marker-legend')
+    .data(showSize || clustered ? [null] : [])
+    .join('g')
+    .attr('class', 'marker-legend');
+  if (g.empty()) return;
+  g.selectAll('*').remove();
+
+  let y = 0;
+  if (showSize) {
+    const max = scale.domain()[1];
+    const values = [...new Set([max, max / 5, max / 50].map(roundValue))].filter(v => v > 0);
+    const rMax = scale(values[0]);
+    const cx = rMax;
+    g.append('text').attr('class', 'marker-legend-title').attr('x', 0).attr('y', 0)
+      .text(`Marker size: ${SIZE_METRICS[metric].label}`);
+    const base = 8 + 2 * rMax;
+    for (const v of values) {
+      const r = scale(v);
+      g.append('circle').attr('cx', cx).attr('cy', base - r).attr('r', r);
+      g.append('line')
+        .attr('x1', cx).attr('x2', 2 * rMax + 10)
+        .attr('y1', base - 2 * r).attr('y2', base - 2 * r);
+      g.append('text').attr('x', 2 * rMax + 13).attr('y', base - 2 * r).attr('dy', '0.35em')
+        .text(SIZE_METRICS[metric].format(v));
+    }
+    y = base + 16;
+  }
+  if (clustered) {
+    g.append('text').attr('class', 'marker-legend-note').attr('x', 0).attr('y', y)
+      .text('Numbered rings: overlapping events (ring = hazard mix)');
+  }
+
+  // Anchor the block to the bottom-right corner now that its size is known
+  const box = g.node().getBBox ? g.node().getBBox() : { width: 0, height: 0 };
+  g.attr('transform', `translate(${width - (box.width || 180) - 14},${height - (box.height || y) - 10})`);
+}
+
+/**
+ * Group items whose positions fall within `radius` of a cluster's anchor.
+ * Items are visited in order, so pass the most important first: they become
+ * the anchors. Grid-bucketed, so cost stays linear in the number of items.
+ * @param {Array<{x:number, y:number}>} items
+ * @returns {Array<{x:number, y:number, members:Array}>}
+ */
+export function clusterPoints(items, radius) {
+  const cells = new Map();
+  const clusters = [];
+  const r2 = radius * radius;
+  for (const it of items) {
+    const ci = Math.floor(it.x / radius);
+    const cj = Math.floor(it.y / radius);
+    let best = null;
+    let bestDist = r2;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        for (const c of cells.get(`${ci + di},${cj + dj}`) || []) {
+          const dist = (c.x - it.x) ** 2 + (c.y - it.y) ** 2;
+          if (dist <= bestDist) { best = c; bestDist = dist; }
+        }
+      }
+    }
+    if (best) {
+      best.members.push(it);
+    } else {
+      const c = { x: it.x, y: it.y, members: [it] };
+      clusters.push(c);
+      const key = `${ci},${cj}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(c);
+    }
+  }
+  return clusters;
+}
+
+// Count of members per hazard, in the canonical hazard order
+export function hazardMix(members, typeOf = m => m.disaster_type_gdis) {
+  const counts = d3.rollup(members, v => v.length, typeOf);
+  return DISASTER_KEYS.filter(k => counts.has(k)).map(key => ({ key, count: counts.get(key) }));
+}
+
+export function clusterBadgeRadius(count) {
+  return 7 + 2 * Math.sqrt(count);
+}
+
+// Offsets (screen units) that fan `n` members out around their cluster: a
+// ring for small clusters, an outward spiral once a ring would get crowded.
+export function spiderOffsets(n, baseRadius) {
+  if (n <= 8) {
+    const ring = baseRadius + 10;
+    return d3.range(n).map(i => {
+      const a = -Math.PI / 2 + (2 * Math.PI * i) / n;
+      return [ring * Math.cos(a), ring * Math.sin(a)];
+    });
+  }
+  const out = [];
+  let legLength = baseRadius + 6;
+  let angle = 0;
+  for (let i = 0; i < n; i++) {
+    angle += 9 / legLength + 0.35;
+    out.push([legLength * Math.cos(angle), legLength * Math.sin(angle)]);
+    legLength += 6.5 / angle + 0.9;
+  }
+  return out;
+}
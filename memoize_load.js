@@ -0,0 +1,21 @@
+// memoize_load.js
+// Shared "fetch once" wrapper for the data loaders (event_data.js,
+// prefecture_regions.js, risk_aggregation.js, risk_model.js): every caller
+// gets the same promise, and a failed load is forgotten so the next call
+// retries instead of replaying the error.
+
+/**
+ * @template T
+ * @param {() => Promise<T>} load
+ * @returns {() => Promise<T>}
+ */
+export function memoizeLoad(load) {
+  let pending = null;
+  return () => {
+    if (!pending) {
+      pending = load();
+      pending.catch(() => { pending = null; });
+    }
+    return pending;
+  };
+}
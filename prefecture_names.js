@@ -0,0 +1,60 @@
+// prefecture_names.js
+// Prefecture naming helpers shared by the keyboard navigation and the table
+// view of the map.
+// - PREFECTURE_ORDER is the standard JIS X 0401 order (north to south,
+//   Hokkaido = 01 … Okinawa = 47), the order Japanese readers expect lists
+//   of prefectures in.
+// - prefectureKey() compares names loosely across boundary files and CSVs:
+//   "Hokkai Do", "Tokyo To", "Kyoto Fu", "Aichi-ken" and "Aichi" all match.
+
+export const PREFECTURE_ORDER = [
+  'Hokkaido', 'Aomori', 'Iwate', 'Miyagi', 'Akita', 'Yamagata', 'Fukushima',
+  'Ibaraki', 'Tochigi', 'Gunma', 'Saitama', 'Chiba', 'Tokyo', 'Kanagawa',
+  'Niigata', 'Toyama', 'Ishikawa', 'Fukui', 'Yamanashi', 'Nagano', 'Gifu',
+  'Shizuoka', 'Aichi', 'Mie', 'Shiga', 'Kyoto', 'Osaka', 'Hyogo', 'Nara',
+  'Wakayama', 'Tottori', 'Shimane', 'Okayama', 'Hiroshima', 'Yamaguchi',
+  'Tokushima', 'Kagawa', 'Ehime', 'Kochi', 'Fukuoka', 'Saga', 'Nagasaki',
+  'Kumamoto', 'Oita', 'Miyazaki', 'Kagoshima', 'Okinawa',
+];
+
+// Only a separated suffix is dropped ("Kyoto Fu" → kyoto, but "Kyoto" stays
+// kyoto); "Hokkai Do" keeps its "do" so it matches "Hokkaido"
+export function prefectureKey(name) {
+  return String(name ?? '').toLowerCase().trim()
+    .replace(/[\s-]+(ken|fu|to)$/, '')
+    .replace(/[^a-z]/g, '');
+}
+
+const ORDER_INDEX = new Map(PREFECTURE_ORDER.map((name, i) => [prefectureKey(name), i]));
+
+// English display name for a boundary feature
+export function prefectureLabel(d) {
+  const props = (d && d.properties) || {};
+  const raw = props.__engName || props.name_en || props.name_1 || props.NAME_1 ||
+              props.prefecture || props.pref_name || props.nam || props.name || '';
+  const known = PREFECTURE_ORDER[ORDER_INDEX.get(prefectureKey(raw))];
+  return known || String(raw).replace(/[\s-]+(ken|fu|to)$/i, '') || 'Prefecture';
+}
+
+// Position of a feature in PREFECTURE_ORDER (Infinity when the name is unknown)
+export function geographicIndex(d) {
+  const props = (d && d.properties) || {};
+  for (const raw of [props.__prefNorm, props.__engName, props.name_en, props.nam, props.name]) {
+    const i = ORDER_INDEX.get(prefectureKey(raw));
+    if (i != null) return i;
+  }
+  return Infinity;
+}
+
+/**
+ * Features sorted north to south in JIS order. Features whose name isn't
+ * recognised go last, ordered by latitude of their centroid.
+ * @param {object[]} features  GeoJSON features
+ * @param {(d: object) => [number, number]} centroid  e.g. d3.geoCentroid
+ */
+export function geographicOrder(features, centroid) {
+  return features
+    .map(d => ({ d, i: geographicIndex(d), lat: centroid ? -centroid(d)[1] : 0 }))
+    .sort((a, b) => (a.i - b.i) || (a.lat - b.lat))
+    .map(x => x.d);
+}
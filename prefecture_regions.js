@@ -0,0 +1,59 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { PREFECTURE_ORDER, prefectureKey } from "./prefecture_names.js";
+import { memoizeLoad } from "./memoize_load.js";
+
+// prefecture_regions.js
+// Region and main-island membership of each prefecture, from the Kaggle key
+// (prefecture, prefecture_norm, region, capital, island). Loaded once and
+// shared by the map's region layer and anything else that groups prefectures.
+//
+// loadPrefectureRegions() resolves to
+//   { byKey: Map(prefectureKey → { norm, region, island, capital }),
+//     groups: { region: [names], island: [names] },   north → south
+//     groupOf(name, grouping) → group name | null }
+// `grouping` is 'region' (Tohoku, Kanto, …) or 'island' (Honshu, Kyushu, …).
+
+export const PREFECTURE_KEY_URL = './data/prefecture_key_from_kaggle.csv';
+export const GROUPINGS = ['region', 'island'];
+
+function build(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const norm = (r.prefecture_norm || '').trim();
+    if (!norm) continue;
+    const entry = {
+      norm,
+      region: (r.region || '').trim() || null,
+      island: (r.island || '').trim() || null,
+      capital: (r.capital || '').trim() || null,
+    };
+    byKey.set(prefectureKey(norm), entry);
+    if (r.prefecture) byKey.set(prefectureKey(r.prefecture), entry);
+  }
+
+  // Groups in the order their first prefecture appears in JIS order, so
+  // legends read Hokkaido → Tohoku → … → Kyushu like a printed atlas
+  const groups = {};
+  for (const grouping of GROUPINGS) {
+    const seen = [];
+    for (const name of PREFECTURE_ORDER) {
+      const g = byKey.get(prefectureKey(name))?.[grouping];
+      if (g && !seen.includes(g)) seen.push(g);
+    }
+    for (const entry of byKey.values()) {
+      if (entry[grouping] && !seen.includes(entry[grouping])) seen.push(entry[grouping]);
+    }
+    groups[grouping] = seen;
+  }
+
+  function groupOf(name, grouping = 'region') {
+    return byKey.get(prefectureKey(name))?.[grouping] || null;
+  }
+
+  return { byKey, groups, groupOf };
+}
+
+export const loadPrefectureRegions = memoizeLoad(() => d3.csv(PREFECTURE_KEY_URL).then(rows => {
+  if (!rows.length) throw new Error(`Prefecture key CSV empty at ${PREFECTURE_KEY_URL}`);
+  return build(rows);
+}));
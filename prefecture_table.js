@@ -0,0 +1,117 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS } from "./hazards.js";
+import { loadDisasterEvents } from "./event_data.js";
+import { visibleEvents, visibleYearSpan } from "./event_filters.js";
+import { getRiskData, onRiskDataChange, whenRiskReady } from "./risk_profile.js";
+import { geographicOrder, prefectureKey, prefectureLabel } from "./prefecture_names.js";
+
+// prefecture_table.js
+// Table view of the map: one row per prefecture (JIS order) with the selected
+// year's risk score and totals of the events currently on the map (same year
+// window, hazards and filters as the points). It is the non-visual fallback
+// for the choropleth, and the prefecture buttons select like a map click.
+
+const container = d3.select('#map-table');
+
+const fmt = new Intl.NumberFormat();
+const fmtUsd = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+function sum(rows, field) {
+  return d3.sum(rows, d => {
+    const n = +d[field];
+    return Number.isFinite(n) ? n : 0;
+  });
+}
+
+function initTable(rows, mapCtx) {
+  const features = geographicOrder(mapCtx.features.features, d3.geoCentroid);
+
+  const table = container.append('div').attr('class', 'event-table-scroll')
+    .append('table').attr('class', 'event-table prefecture-table');
+  const caption = table.append('caption');
+  table.append('thead').append('tr')
+    .selectAll('th')
+    .data([['Prefecture', false], ['Risk (× 100)', true], ['Events', true], ['Deaths', true], ['Affected', true], ['Damage (USD)', true]])
+    .join('th')
+    .attr('scope', 'col')
+    .classed('numeric', d => d[1])
+    .text(d => d[0]);
+  const tbody = table.append('tbody');
+
+  function render() {
+    const year = appState.year;
+    // Read on every render: the table is replaced when the risk weights change
+    const { riskByPrefYear } = getRiskData();
+    const events = visibleEvents(rows, {
+      year,
+      timeWindow: appState.timeWindow,
+      activeDisasters: appState.activeDisasters || new Set(DISASTER_KEYS),
+      eventFilter: appState.eventFilter,
+    });
+    const byPref = d3.group(events, d => prefectureKey(d.prefecture_norm || d.prefecture));
+    const selected = appState.prefecture;
+    const selectedKeys = new Set([selected?.norm, selected?.name].filter(Boolean).map(prefectureKey));
+
+    const data = features.map(f => {
+      const norm = f.properties?.__prefNorm || prefectureLabel(f);
+      const list = byPref.get(prefectureKey(norm)) || [];
+      const risk = riskByPrefYear.get(`${norm}::${year}`);
+      return {
+        norm,
+        label: prefectureLabel(f),
+        risk: risk ? +risk.risk_final : null,
+        synthetic: !!risk?.__synthetic,
+        events: list.length,
+        deaths: sum(list, 'deaths'),
+        affected: sum(list, 'affected'),
+        damage: sum(list, 'damage_final_usd'),
+      };
+    });
+
+    const [start, end] = visibleYearSpan(year, appState.timeWindow);
+    caption.text(`Risk in ${year} and events on the map (${start === end ? end : `${start}–${end}`}) by prefecture`);
+
+    const tr = tbody.selectAll('tr')
+      .data(data, d => d.norm)
+      .join(enter => {
+        const row = enter.append('tr');
+        row.append('th').attr('scope', 'row')
+          .append('button').attr('type', 'button').attr('class', 'sort-button');
+        for (let i = 0; i < 5; i++) row.append('td').attr('class', 'numeric');
+        return row;
+      })
+      .classed('is-focused', d => selectedKeys.has(prefectureKey(d.norm)))
+      .attr('aria-current', d => selectedKeys.has(prefectureKey(d.norm)) ? 'true' : null);
+
+    tr.select('th button')
+      .text(d => d.label)
+      .on('click', (event, d) => appState.selectPrefecture({ norm: d.norm, name: d.label }, 'maptable'));
+    tr.selectAll('td')
+      .data(d => [
+        d.risk == null ? '–' : `${(d.risk * 100).toFixed(1)}${d.synthetic ? ' (decayed)' : ''}`,
+        fmt.format(d.events),
+        d.events ? fmt.format(d.deaths) : '–',
+        d.events ? fmt.format(d.affected) : '–',
+        d.events ? fmtUsd.format(d.damage) : '–',
+      ])
+      .text(v => v);
+  }
+
+  appState
+    .on('yearchange.prefTable', render)
+    .on('timewindowchange.prefTable', render)
+    .on('filterchange.prefTable', render)
+    .on('eventfilterchange.prefTable', render)
+    .on('prefectureselect.prefTable', render);
+  onRiskDataChange('prefTable', render);
+
+  render();
+}
+
+if (!container.empty()) {
+  Promise.all([loadDisasterEvents(), whenMapReady(), whenRiskReady()])
+    .then(([rows, mapCtx]) => initTable(rows, mapCtx))
+    .catch(err => console.error('[prefecture_table] failed to initialise:', err));
+}
@@ -1,8 +1,19 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { announce } from "./live_region.js";
+import { loadPrefectureRegions } from "./prefecture_regions.js";
+import { riskChange } from "./risk_profile.js";
 // This script disables the hover tooltip that appears when hovering prefecture
 // polygons rendered by `japan_map.js`. It does so without editing that file by
 // adding a CSS rule that forces `.d3-tooltip` hidden when a body class is set,
 // and toggling that class on prefecture hover. Disaster-point tooltips remain.
+// Keyboard focus (map_keyboard.js) shows the same tooltip next to the focused
+// prefecture, and the tooltip text is announced through live_region.js.
+// When the map is aggregated (appState.aggregation "region" / "island") the
+// totals cover every prefecture in the hovered prefecture's group.
+// In the change map (appState colorMode "change") the tooltip also shows the
+// change in risk against the chosen baseline (risk_profile.js riskChange()).
 
 const DISABLE_CLASS = 'pref-tooltip-disabled';
 
@@ -34,19 +45,10 @@ if (!document.getElementById(prefTipId)) {
 		.style('white-space', 'normal');
 }
 
-// Attach listeners to prefecture paths. If map hasn't been rendered yet, retry a
-// few times (map is expected to be loaded before this script per your note).
-let attachAttempts = 0;
-function attachPrefectureHandlers() {
-	attachAttempts += 1;
-	const prefs = d3.selectAll('path.prefecture');
-	if (prefs.empty()) {
-		if (attachAttempts <= 6) {
-			// try again after a short delay
-			setTimeout(attachPrefectureHandlers, 200);
-		}
-		return;
-	}
+// Attach listeners to the prefecture paths published by japan_map.js.
+function attachPrefectureHandlers(mapCtx) {
+	const prefs = mapCtx.prefectures;
+	const pointsLayer = mapCtx.layer('points');
 
 	// Use pointerenter/leave when available; fallback to mouseenter/mouseleave.
 	const enter = 'pointerenter' in window ? 'pointerenter' : 'mouseenter';
@@ -55,60 +57,87 @@ function attachPrefectureHandlers() {
 
 	const prefTooltip = d3.select('#' + prefTipId);
 
-	// Track the last pointer position and clicked prefecture so other scripts (like autoplay) can ask
-	// the tooltip to show for whatever is currently under the cursor.
-	window.__prefLastPointer = null;
-	window.__prefHoveredEl = null;
-	window.__prefClickedEl = null; // Track clicked prefecture for persistent tooltip
+	// Region key for aggregated totals; prefecture totals until it has loaded
+	let regions = null;
+	loadPrefectureRegions()
+		.then(r => { regions = r; })
+		.catch(err => console.warn('[prefecture_tooltip] prefecture key unavailable; totals stay per prefecture', err));
+	const LEVEL_LABELS = { region: 'region', island: 'main island' };
+
+	// The hovered prefecture's group at the current aggregation level:
+	// { label, features, nodes }, or null at prefecture level
+	function groupFor(feat) {
+		const level = appState.aggregation;
+		if (level === 'prefecture' || !regions || !feat) return null;
+		const groupOf = f => regions.groupOf(f?.properties?.__prefNorm || f?.properties?.__engName || '', level);
+		const group = groupOf(feat);
+		if (!group) return null;
+		const members = prefs.filter(f => groupOf(f) === group);
+		return { label: `${group} (${LEVEL_LABELS[level]})`, features: members.data(), nodes: new Set(members.nodes()) };
+	}
+
+	// Track the last pointer position, the hovered prefecture and the clicked
+	// (pinned) prefecture so year/filter changes can refresh whatever is under the cursor.
+	let lastPointer = null;
+	let hoveredEl = null;
+	let clickedEl = null; // Track clicked prefecture for persistent tooltip
 	document.addEventListener('pointermove', (e) => {
-		window.__prefLastPointer = { clientX: e.clientX, clientY: e.clientY, pageX: e.pageX, pageY: e.pageY };
+		lastPointer = { clientX: e.clientX, clientY: e.clientY, pageX: e.pageX, pageY: e.pageY };
 	});
 
 	// Show the prefecture tooltip for whatever prefecture (if any) is currently
-	// under the last known pointer position. This is safe to call from outside
-	// (e.g. autoplay) and will dispatch pointerenter/pointermove events so the
-	// existing handlers run normally.
-	window.__prefShowTooltipAtPointer = function () {
-		const p = window.__prefLastPointer;
+	// under the last known pointer position. Dispatches pointerenter/pointermove
+	// events so the existing handlers run normally.
+	function showTooltipAtPointer() {
+		const p = lastPointer;
 		if (!p) return;
 		const el = document.elementFromPoint(p.clientX, p.clientY);
 		const prefEl = el ? el.closest && el.closest('path.prefecture') : null;
 
 		// If previously hovered element exists and is different, send leave
-		if (window.__prefHoveredEl && window.__prefHoveredEl !== prefEl) {
+		if (hoveredEl && hoveredEl !== prefEl) {
 			try {
-				window.__prefHoveredEl.dispatchEvent(new PointerEvent('pointerleave', { bubbles: true, clientX: p.clientX, clientY: p.clientY, pageX: p.pageX, pageY: p.pageY }));
+				hoveredEl.dispatchEvent(new PointerEvent('pointerleave', { bubbles: true, clientX: p.clientX, clientY: p.clientY, pageX: p.pageX, pageY: p.pageY }));
 			} catch (e) {}
-			window.__prefHoveredEl = null;
+			hoveredEl = null;
 		}
 
-		if (prefEl && prefEl !== window.__prefHoveredEl) {
+		if (prefEl && prefEl !== hoveredEl) {
 			try {
 				prefEl.dispatchEvent(new PointerEvent('pointerenter', { bubbles: true, clientX: p.clientX, clientY: p.clientY, pageX: p.pageX, pageY: p.pageY }));
 				prefEl.dispatchEvent(new PointerEvent('pointermove', { bubbles: true, clientX: p.clientX, clientY: p.clientY, pageX: p.pageX, pageY: p.pageY }));
 			} catch (e) {}
-			window.__prefHoveredEl = prefEl;
-		} else if (prefEl && prefEl === window.__prefHoveredEl) {
+			hoveredEl = prefEl;
+		} else if (prefEl && prefEl === hoveredEl) {
 			// The pointer is still over the same prefecture. Instead of only
 			// dispatching a pointermove (which only repositions), dispatch a
 			// custom event that requests the prefecture recompute its stats and
-			// refresh the tooltip content. This ensures autoplay or external
-			// callers can force a refresh while the pointer hasn't moved.
+			// refresh the tooltip content, so autoplay updates it while the
+			// pointer hasn't moved.
 			try {
 				const ev = new CustomEvent('prefTooltipRefresh', { detail: p, bubbles: true });
 				prefEl.dispatchEvent(ev);
 			} catch (e) {}
 		}
-	};
+	}
 
-	window.__prefHideTooltip = function () {
-		if (window.__prefHoveredEl) {
-			try {
-				window.__prefHoveredEl.dispatchEvent(new PointerEvent('pointerleave', { bubbles: true }));
-			} catch (e) {}
-			window.__prefHoveredEl = null;
-		}
-	};
+	function unpin() {
+		clickedEl = null;
+		d3.select('body').classed(DISABLE_CLASS, false);
+		prefTooltip.style('display', 'none');
+	}
+
+	// Year and filter changes alter which points fall inside each prefecture
+	appState
+		.on('yearchange.prefTooltip', showTooltipAtPointer)
+		.on('aggregationchange.prefTooltip', showTooltipAtPointer)
+		.on('colormodechange.prefTooltip', showTooltipAtPointer)
+		.on('changebaselinechange.prefTooltip', showTooltipAtPointer)
+		.on('filterchange.prefTooltip', showTooltipAtPointer)
+		.on('eventfilterchange.prefTooltip', showTooltipAtPointer)
+		.on('prefectureselect.prefTooltip', ({ prefecture }) => {
+			if (!prefecture && clickedEl) unpin();
+		});
 
 
 	// Helper: compute stats for a prefecture feature/node and show the tooltip.
@@ -117,12 +146,14 @@ function attachPrefectureHandlers() {
 		const feat = (d && d.properties) ? d : (d3.select(prefNode).datum() ? d3.select(prefNode).datum() : null);
 		const props = feat && feat.properties ? feat.properties : {};
 		const prefName = props.__engName || props.name_en || props.prefecture || props.pref_name || props.name || '';
+		const group = groupFor(feat);
+		const areas = group ? group.features : [feat];
 
 		// Retrieve precomputed stats for this prefecture if available to avoid recalculation
 		let stats = null;
 		try {
 			const id = feat && feat.properties ? feat.properties.__prefTooltipId : null;
-			if (id && typeof prefStatsMap !== 'undefined' && prefStatsMap.has(id)) {
+			if (!group && id && typeof prefStatsMap !== 'undefined' && prefStatsMap.has(id)) {
 				stats = prefStatsMap.get(id);
 			}
 		} catch (e) {
@@ -133,7 +164,7 @@ function attachPrefectureHandlers() {
 		let matches = [];
 		if (!stats) {
 			try {
-				const points = d3.selectAll('circle.disaster-point').data() || [];
+				const points = pointsLayer.selectAll('circle.disaster-point').data() || [];
 				if (feat && typeof d3.geoContains === 'function') {
 					for (const p of points) {
 						if (!p) continue;
@@ -141,7 +172,7 @@ function attachPrefectureHandlers() {
 						const lat = +p.latitude;
 						if (isNaN(lon) || isNaN(lat)) continue;
 						try {
-							if (d3.geoContains(feat, [lon, lat])) matches.push(p);
+							if (areas.some(f => d3.geoContains(f, [lon, lat]))) matches.push(p);
 						} catch (e) {
 							// ignore geometry errors
 						}
@@ -159,7 +190,7 @@ function attachPrefectureHandlers() {
 		// coordinates or geometry cause geoContains to miss.
 		try {
 			if (matches.length === 0) {
-				const nodes = d3.selectAll('circle.disaster-point').nodes() || [];
+				const nodes = pointsLayer.selectAll('circle.disaster-point').nodes() || [];
 				for (const node of nodes) {
 					if (!node) continue;
 					const rect = node.getBoundingClientRect();
@@ -169,7 +200,7 @@ function attachPrefectureHandlers() {
 					const els = document.elementsFromPoint(cx, cy) || [];
 					for (const el of els) {
 						const prefClosest = el.closest && el.closest('path.prefecture');
-						if (prefClosest === prefNode) {
+						if (prefClosest === prefNode || (group && group.nodes.has(prefClosest))) {
 							// retrieve datum bound to the circle via d3
 							const dDatum = d3.select(node).datum();
 							if (dDatum) matches.push(dDatum);
@@ -184,7 +215,7 @@ function attachPrefectureHandlers() {
 
 		// Build tooltip content
 		// If prefName is generic, prefer a representative matched disaster's prefecture property as the title
-		let title = prefName;
+		let title = group ? group.label : prefName;
 		if ((title === 'Prefecture' || !title)) {
 			if (stats && stats.repPrefName) {
 				title = stats.repPrefName;
@@ -257,10 +288,18 @@ function attachPrefectureHandlers() {
 			}
 		}
 
+		// Change map: risk × 100 in the selected year against the baseline
+		const change = appState.colorMode === 'change' ? riskChange(props.__prefNorm, appState.year) : null;
+		const fmtRisk = v => (v * 100).toFixed(1);
+		const changeText = change
+			? `Risk change vs ${change.baseline}: ${d3.format('+.1f')(change.delta * 100)} (${fmtRisk(change.base)} → ${fmtRisk(change.value)})`
+			: '';
+
 		// Attach hasValidYear as a data attribute for external use, then show summary statistics
 		prefTooltip.attr('data-has-valid-year', hasValidYear ? 'true' : 'false');
-		// Only show summary statistics: totals, year range, and event count.
-		if (eventCount === 0) {
+		// Only show summary statistics: totals, year range, and event count
+		// (and the change in risk, which the change map shows even without events).
+		if (eventCount === 0 && !change) {
 			// When there are no matching disaster points, do not show the prefecture
 			// tooltip at all. Ensure the global (point) tooltip remains enabled.
 			d3.select('body').classed(DISABLE_CLASS, false);
@@ -271,10 +310,12 @@ function attachPrefectureHandlers() {
 			d3.select('body').classed(DISABLE_CLASS, true);
 			// Center each statistic line individually. Use simple centered divs
 			// with a bullet character so each line is horizontally centered.
-			const isClicked = (window.__prefClickedEl === prefNode);
+			const isClicked = (clickedEl === prefNode);
 			const clickIndicator = isClicked ? ' (Click to unpin)' : '';
-			const statsHtml = `
+			const changeHtml = change ? `<div style="text-align:center;margin:6px 0">• ${changeText}</div>` : '';
+			const statsHtml = eventCount === 0 ? `<div style="margin-top:6px;color:#ffd">${changeHtml}</div>` : `
 					<div style="margin-top:6px;color:#ffd">
+						${changeHtml}
 						<div style="text-align:center;margin:6px 0">• Affected: ${fmt.format(totalAffected)}</div>
 						<div style="text-align:center;margin:6px 0">• Injured: ${fmt.format(totalInjured)}</div>
 						<div style="text-align:center;margin:6px 0">• Homeless: ${fmt.format(totalHomeless)}</div>
@@ -284,7 +325,31 @@ function attachPrefectureHandlers() {
 						<div style="text-align:center;margin:6px 0">• Disasters: ${eventCount}</div>
 					</div>`;
 			prefTooltip.html(`<strong>${title}${clickIndicator}</strong>${statsHtml}`).style('display', 'block');
+			announce(`${title}${isClicked ? ' (pinned)' : ''}: ` + (changeText ? `${changeText}. ` : '') +
+				(eventCount === 0 ? 'no disasters on the map for the current selection.' :
+					`${eventCount} disasters in ${yearRangeText}. ` +
+					`Deaths ${fmt.format(totalDeaths)}, injured ${fmt.format(totalInjured)}, ` +
+					`affected ${fmt.format(totalAffected)}, homeless ${fmt.format(totalHomeless)}, ` +
+					`damage ${fmtCurrency.format(totalDamageUsd)}.`));
 		}
+		return { title, eventCount, change };
+	}
+
+	// Position the tooltip near a page coordinate, keeping it inside the viewport
+	function placeTooltip(pageX, pageY) {
+		const tipNode = document.getElementById(prefTipId);
+		if (!tipNode) return;
+		const padding = 10;
+		// default offset
+		let left = pageX + 12;
+		let top = pageY + 12;
+		// clamp to viewport
+		const vw = Math.max(document.documentElement.clientWidth, window.innerWidth || 0);
+		const vh = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
+		const rect = tipNode.getBoundingClientRect();
+		if (left + rect.width + padding > vw) left = Math.max(padding, pageX - rect.width - 12);
+		if (top + rect.height + padding > window.scrollY + vh) top = Math.max(padding, pageY - rect.height - 12);
+		prefTooltip.style('left', left + 'px').style('top', top + 'px');
 	}
 
 	// Attach handlers and a custom refresh listener so external code (autoplay)
@@ -293,7 +358,7 @@ function attachPrefectureHandlers() {
 	for (const node of prefNodes) {
 		// custom refresh event
 		node.addEventListener('prefTooltipRefresh', function (ev) {
-			computeAndShow(node, ev.detail || window.__prefLastPointer, null);
+			computeAndShow(node, ev.detail || lastPointer, null);
 		});
 	}
 
@@ -302,42 +367,42 @@ function attachPrefectureHandlers() {
 			computeAndShow(this, event, d);
 		})
 		.on('click.prefTooltip', function (event, d) {
+			// Shift-click only edits the detail comparison (detail_compare.js)
+			if (event.shiftKey) return;
 			// Toggle clicked state: if already clicked, unpin it; otherwise set as new clicked prefecture
-			if (window.__prefClickedEl === this) {
-				window.__prefClickedEl = null;
-				d3.select('body').classed(DISABLE_CLASS, false);
-				prefTooltip.style('display', 'none');
+			if (clickedEl === this) {
+				unpin();
 			} else {
-				window.__prefClickedEl = this;
+				clickedEl = this;
 				computeAndShow(this, event, d);
 			}
 		})
 		.on(move + '.prefTooltip', function (event) {
-			// position tooltip near pointer, keep inside viewport
-			const tipNode = document.getElementById(prefTipId);
-			if (!tipNode) return;
-			const padding = 10;
-			const mouseX = event.pageX;
-			const mouseY = event.pageY;
-			// default offset
-			let left = mouseX + 12;
-			let top = mouseY + 12;
-			// clamp to viewport
-			const vw = Math.max(document.documentElement.clientWidth, window.innerWidth || 0);
-			const vh = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
-			const rect = tipNode.getBoundingClientRect();
-			if (left + rect.width + padding > vw) left = Math.max(padding, mouseX - rect.width - 12);
-			if (top + rect.height + padding > window.scrollY + vh) top = Math.max(padding, mouseY - rect.height - 12);
-			prefTooltip.style('left', left + 'px').style('top', top + 'px');
+			placeTooltip(event.pageX, event.pageY);
+		})
+		// Keyboard focus: no pointer to follow, so anchor at the polygon's corner
+		.on('focus.prefTooltip', function (event, d) {
+			const shown = computeAndShow(this, event, d);
+			const rect = this.getBoundingClientRect();
+			placeTooltip(rect.right + window.scrollX - 12, rect.top + window.scrollY);
+			if (!shown.eventCount && !shown.change) announce(`${shown.title || 'Prefecture'}: no disasters on the map for the current selection.`);
+		})
+		.on('blur.prefTooltip', function () {
+			if (clickedEl !== this) {
+				d3.select('body').classed(DISABLE_CLASS, false);
+				prefTooltip.style('display', 'none');
+			}
 		})
 		.on(leave + '.prefTooltip', function () {
 			// Only hide tooltip if this prefecture is not currently clicked
-			if (window.__prefClickedEl !== this) {
+			if (clickedEl !== this) {
 				d3.select('body').classed(DISABLE_CLASS, false);
 				prefTooltip.style('display', 'none');
 			}
 		});
 }
 
-// Run attachment immediately
-attachPrefectureHandlers();
\ No newline at end of file
+// Attach once the map has rendered its prefectures
+whenMapReady()
+	.then(attachPrefectureHandlers)
+	.catch(err => console.warn('[prefecture_tooltip] map not available; tooltips disabled', err));
\ No newline at end of file
@@ -0,0 +1,102 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { memoizeLoad } from "./memoize_load.js";
+
+// risk_aggregation.js
+// Region / main-island risk for the aggregation selector (appState
+// aggregation "region" | "island"). A group-year row combines the dense
+// prefecture-year rows of its members:
+// - normalised scores (risk_final, risk_year_norm, risk_cum_norm and the
+//   H / E / N components) are population-weighted means, so Tokyo counts for
+//   more of Kanto than Tochigi does
+// - totals (H_sum, E_sum) and population are summed
+// - n_events counts distinct events (disno) over the members, so a disaster
+//   that hit several prefectures of a region counts once
+// - per-person burdens (human_burden, econ_burden) are the group's totals over
+//   its population, from the members with a population figure
+// Weights come from the yearly population table (the risk CSV only has
+// population on years with events); a prefecture without any population
+// figure falls back to weight 1.
+
+export const POPULATION_CSV_URL = './data/japan_prefecture_population_final.csv';
+
+const WEIGHTED = ['risk_final', 'risk_year_norm', 'risk_cum_norm', 'H_pref_norm', 'E_pref_norm', 'logE_pref_norm', 'N_norm'];
+const SUMMED = ['H_sum', 'E_sum'];
+// burden column → the total it divides by population
+const BURDENS = { human_burden: 'H_sum', econ_burden: 'E_sum' };
+
+/**
+ * Yearly population by prefecture.
+ * @returns {Promise<(norm: string, year: number) => number|null>} lookup that
+ *   falls back to the nearest earlier (else later) year on record
+ */
+export const loadPopulation = memoizeLoad(() => d3.csv(POPULATION_CSV_URL).then(rows => {
+  const byPref = d3.group(rows.filter(r => Number.isFinite(+r.population_final) && +r.population_final > 0),
+    r => r.prefecture_norm);
+  const series = new Map();
+  for (const [norm, list] of byPref) {
+    const sorted = list.map(r => [+r.year, +r.population_final]).sort((a, b) => a[0] - b[0]);
+    series.set(norm, { years: sorted.map(d => d[0]), values: sorted.map(d => d[1]) });
+  }
+  const bisect = d3.bisector(y => y).right;
+  return (norm, year) => {
+    const s = series.get(norm);
+    if (!s) return null;
+    const i = bisect(s.years, year) - 1;
+    return s.values[Math.max(0, i)];
+  };
+}));
+
+/**
+ * Aggregate dense prefecture-year rows to groups.
+ * @param {object[]} riskRows            dense rows (risk_profile getRiskData().riskRows)
+ * @param {(norm: string) => string|null} groupOf  prefecture_norm → group name
+ * @param {(norm: string, year: number) => number|null} populationOf
+ * @param {(norm: string, year: number) => Set<string>|null} eventIdsOf
+ *   distinct events per prefecture-year (risk_model.js loadEventIds)
+ * @returns {{ rows: object[], byGroupYear: Map<string, object> }} rows carry
+ *   `group`, `year`, `members` (prefecture_norms) and `__synthetic` when every
+ *   member row is a decayed fill-in; byGroupYear is keyed `${group}::${year}`
+ */
+export function aggregateRisk(riskRows, groupOf, populationOf, eventIdsOf) {
+  const buckets = d3.group(riskRows, r => groupOf(r.prefecture_norm), r => +r.year);
+  const rows = [];
+  const byGroupYear = new Map();
+
+  for (const [group, byYear] of buckets) {
+    if (!group) continue;
+    for (const [year, members] of byYear) {
+      const pops = members.map(r => populationOf(r.prefecture_norm, year));
+      const weights = pops.map(p => p ?? 1);
+      const row = {
+        group,
+        prefecture_norm: group,
+        year,
+        population: d3.sum(pops) || null,
+        members: members.map(r => r.prefecture_norm),
+        __synthetic: members.every(r => r.__synthetic),
+      };
+      for (const col of SUMMED) row[col] = d3.sum(members, r => +r[col] || 0);
+      row.n_events = new Set(members.flatMap(r => [...(eventIdsOf(r.prefecture_norm, year) || [])])).size;
+      const counted = members.map((r, i) => [r, pops[i]]).filter(([, pop]) => pop > 0);
+      const countedPop = d3.sum(counted, ([, pop]) => pop);
+      for (const [col, total] of Object.entries(BURDENS)) {
+        row[col] = countedPop > 0 ? d3.sum(counted, ([r]) => +r[total] || 0) / countedPop : null;
+      }
+      for (const col of WEIGHTED) {
+        let sum = 0;
+        let weight = 0;
+        members.forEach((r, i) => {
+          const v = +r[col];
+          if (r[col] == null || r[col] === '' || !Number.isFinite(v)) return;
+          sum += v * weights[i];
+          weight += weights[i];
+        });
+        row[col] = weight > 0 ? sum / weight : null;
+      }
+      rows.push(row);
+      byGroupYear.set(`${group}::${year}`, row);
+    }
+  }
+  rows.sort((a, b) => d3.ascending(a.group, b.group) || a.year - b.year);
+  return { rows, byGroupYear };
+}
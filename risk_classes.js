@@ -0,0 +1,260 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+
+// risk_classes.js
+// Classification schemes for the risk choropleth (appState.classification):
+//   quantile       – 9 quantile bins of every dense prefecture-year value
+//   year-quantile  – the payload's percentile cutpoints of the selected year
+//                    (binning.per_year_cutpoints; 7 bins)
+//   equal          – 9 equal-width bins between the lowest and highest value
+//   jenks          – 9 Jenks natural-breaks classes
+//   continuous     – sequential Reds scale, no bins
+// buildClassScale() turns a scheme into a d3 scale plus what the legend needs.
+// percentileCutpoints() rebuilds the payload's `binning` block from sparse
+// rows, for risk tables recomputed with other weights (risk_model.js).
+// buildChangeScale() is the diverging counterpart for colorMode "change"
+// (Δ risk_final against appState.changeBaseline).
+// buildBivariateScale() classes colorMode "bivariate": human burden
+// (H_pref_norm) against economic burden (logE_pref_norm), 3 × 3.
+
+export const CLASSIFICATION_LABELS = {
+  quantile: 'Quantiles (all years)',
+  'year-quantile': 'Quantiles of the year',
+  equal: 'Equal intervals',
+  jenks: 'Jenks natural breaks',
+  continuous: 'Continuous',
+};
+
+export const CLASS_COUNT = 9;
+const JENKS_SAMPLE = 1000;      // values fed to Jenks (evenly spaced quantiles of the sorted data)
+const CONTINUOUS_STEPS = 48;    // legend swatches for the continuous scale
+const CHANGE_COVERAGE = 0.98;   // share of |Δ| inside the diverging scale; larger changes get the end colors
+
+// Reds for any number of classes (the ColorBrewer ramps start at 3)
+function reds(n) {
+  if (n >= 3 && n <= 9) return d3.schemeReds[n];
+  if (n > 9) return d3.quantize(d3.interpolateReds, n);
+  return d3.schemeReds[3].slice(3 - Math.max(1, n));
+}
+
+/**
+ * Jenks natural breaks (Fisher's exact optimisation of within-class variance).
+ * Large inputs are reduced to JENKS_SAMPLE evenly spaced quantiles first.
+ * @param {number[]} data
+ * @param {number} k  number of classes
+ * @returns {number[]} k − 1 thresholds, each halfway between two classes
+ */
+export function jenksBreaks(data, k) {
+  let values = data.filter(Number.isFinite).sort(d3.ascending);
+  if (values.length > JENKS_SAMPLE) {
+    values = d3.range(JENKS_SAMPLE).map(i => d3.quantileSorted(values, i / (JENKS_SAMPLE - 1)));
+  }
+  const n = values.length;
+  k = Math.min(k, new Set(values).size);
+  if (k < 2) return [];
+
+  // lower[l][j]: first value (1-based) of the last class when the first l
+  // values form j classes; variance[l][j]: the summed within-class variance
+  const lower = Array.from({ length: n + 1 }, () => new Int32Array(k + 1));
+  const variance = Array.from({ length: n + 1 }, () => new Float64Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSq = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m++) {
+      const first = l - m + 1;
+      const val = values[first - 1];
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / m;
+      const before = first - 1;
+      if (before === 0) continue;
+      for (let j = 2; j <= k; j++) {
+        if (variance[l][j] >= v + variance[before][j - 1]) {
+          lower[l][j] = first;
+          variance[l][j] = v + variance[before][j - 1];
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = [];
+  let last = n;
+  for (let j = k; j >= 2; j--) {
+    const first = lower[last][j]; // first value of class j
+    breaks.unshift((values[first - 2] + values[first - 1]) / 2);
+    last = first - 1;
+  }
+  return breaks;
+}
+
+/**
+ * The payload's binning block ({ percentiles, global_cutpoints,
+ * per_year_cutpoints }) computed from sparse risk rows.
+ */
+export function percentileCutpoints(sparseRows, percentiles) {
+  const cuts = values => {
+    const sorted = values.filter(Number.isFinite).sort(d3.ascending);
+    return Object.fromEntries(percentiles.map(p => [String(p), d3.quantileSorted(sorted, p / 100)]));
+  };
+  const perYear = {};
+  for (const [year, rows] of d3.group(sparseRows, r => +r.year)) {
+    perYear[String(year)] = cuts(rows.map(r => +r.risk_final));
+  }
+  return {
+    percentiles: percentiles.slice(),
+    global_cutpoints: cuts(sparseRows.map(r => +r.risk_final)),
+    per_year_cutpoints: perYear,
+  };
+}
+
+/**
+ * Color scale for a classification scheme.
+ * @param {string} scheme  one of CLASSIFICATION_LABELS' keys
+ * @param {object} opts
+ * @param {number[]} opts.values   dense risk_final values
+ * @param {object}  [opts.binning] payload-style binning block (year-quantile)
+ * @param {number}  [opts.year]    selected year (year-quantile)
+ * @returns {{ scale, edges: number[], colors: string[], label: string, note: string }}
+ *   edges are the legend tick values (bin edges, or evenly spaced values for
+ *   the continuous scale), colors the legend swatches
+ */
+export function buildClassScale(scheme, { values, binning, year }) {
+  const vMin = d3.min(values) ?? 0;
+  const vMax = d3.max(values) ?? 1;
+  const label = CLASSIFICATION_LABELS[scheme] || CLASSIFICATION_LABELS.quantile;
+
+  if (scheme === 'continuous') {
+    const scale = d3.scaleSequential(d3.interpolateReds).domain([vMin, vMax]);
+    return {
+      scale,
+      edges: d3.range(5).map(i => vMin + (i / 4) * (vMax - vMin)),
+      colors: d3.range(CONTINUOUS_STEPS).map(i => scale(vMin + ((i + 0.5) / CONTINUOUS_STEPS) * (vMax - vMin))),
+      label,
+      note: 'colors run continuously from the lowest to the highest value',
+    };
+  }
+
+  let thresholds;
+  let edges;
+  let note;
+  if (scheme === 'year-quantile') {
+    const cuts = binning?.per_year_cutpoints?.[String(year)];
+    const source = cuts || binning?.global_cutpoints || {};
+    const pts = (binning?.percentiles || []).map(p => +source[String(p)]).filter(Number.isFinite);
+    edges = [...new Set(pts)].sort(d3.ascending);
+    if (edges.length < 2) edges = [vMin, vMax];
+    thresholds = edges.slice(1, -1);
+    note = cuts
+      ? `bins are the ${binning.percentiles.join(' / ')} percentiles of ${year}`
+      : `no events in ${year}; bins are the percentiles of all years`;
+  } else {
+    if (scheme === 'equal') {
+      thresholds = d3.range(1, CLASS_COUNT).map(i => vMin + (i / CLASS_COUNT) * (vMax - vMin));
+      note = 'bins have equal width';
+    } else if (scheme === 'jenks') {
+      thresholds = jenksBreaks(values, CLASS_COUNT);
+      note = 'bins follow natural breaks in the values';
+    } else {
+      thresholds = d3.range(1, CLASS_COUNT).map(i => d3.quantile(values, i / CLASS_COUNT));
+      note = 'colors are binned by percentiles';
+    }
+    edges = [vMin, ...thresholds, vMax];
+  }
+
+  const colors = reds(thresholds.length + 1);
+  return {
+    scale: d3.scaleThreshold().domain(thresholds).range(colors),
+    edges,
+    colors,
+    label,
+    note,
+  };
+}
+
+/**
+ * Short name of a change baseline for labels, e.g. "previous year", "1995",
+ * "1960–2018 mean".
+ * @param {{ mode: string, year: number }} changeBaseline  appState.changeBaseline
+ * @param {number[]} [yearsDomain]
+ */
+export function changeBaselineLabel(changeBaseline, yearsDomain = [1960, 2018]) {
+  if (changeBaseline.mode === 'mean') return `${yearsDomain[0]}–${yearsDomain[1]} mean`;
+  if (changeBaseline.mode === 'year') return String(changeBaseline.year);
+  return 'previous year';
+}
+
+/**
+ * Diverging color scale for changes in risk: blue = lower than the baseline,
+ * red = higher, white = unchanged, symmetric around 0.
+ * @param {number[]} deltas  every Δ the scale has to cover (all years)
+ * @param {{ mode: string, year: number }} changeBaseline  appState.changeBaseline
+ * @param {number[]} [yearsDomain]
+ * @returns {{ scale, edges: number[], colors: string[], label: string, note: string, signed: true }}
+ *   same shape as buildClassScale(); `signed` asks for +/− tick labels
+ */
+export function buildChangeScale(deltas, changeBaseline, yearsDomain) {
+  const sizes = deltas.filter(Number.isFinite).map(Math.abs).sort(d3.ascending);
+  const largest = sizes[sizes.length - 1] || 0;
+  const limit = d3.quantileSorted(sizes, CHANGE_COVERAGE) || largest || 0.01;
+  const scale = d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-limit, 0, limit]).clamp(true);
+  return {
+    scale,
+    edges: [-limit, -limit / 2, 0, limit / 2, limit],
+    colors: d3.range(CONTINUOUS_STEPS).map(i => scale(-limit + ((i + 0.5) / CONTINUOUS_STEPS) * 2 * limit)),
+    label: `Change vs ${changeBaselineLabel(changeBaseline, yearsDomain)}`,
+    note: `red = higher than ${changeBaseline.mode === 'year' ? 'in ' : 'the '}${changeBaselineLabel(changeBaseline, yearsDomain)}, blue = lower` +
+      (largest > limit ? `; changes beyond ±${(limit * 100).toFixed(1)} use the end colors` : ''),
+    signed: true,
+  };
+}
+
+// 3 × 3 bivariate palette: rows human burden low → high (pink), columns
+// economic burden low → high (teal); high / high is dark blue-purple
+export const BIVARIATE_COLORS = [
+  ['#e8e8e8', '#ace4e4', '#5ac8c8'],
+  ['#dfb0d6', '#a5add3', '#5698b9'],
+  ['#be64ac', '#8c62aa', '#3b4994'],
+];
+export const BIVARIATE_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Bivariate classes of human (H_pref_norm) against economic (logE_pref_norm)
+ * burden, split at the tertiles of each over the rows with events. Rows
+ * without events (decayed fill-ins) have no burden of their own and get no
+ * class.
+ * @param {object[]} rows  risk rows (prefecture or aggregated) with
+ *   H_pref_norm, logE_pref_norm and n_events
+ * @returns {{ classOf: (row) => ({ human, economic, color } | null),
+ *   cuts: { human: number[], economic: number[] }, label: string, note: string }}
+ *   human / economic are 0–2 (see BIVARIATE_LEVELS)
+ */
+export function buildBivariateScale(rows) {
+  const withEvents = rows.filter(r => +r.n_events > 0);
+  const tertiles = column => {
+    const sorted = withEvents.map(r => +r[column]).filter(Number.isFinite).sort(d3.ascending);
+    return [d3.quantileSorted(sorted, 1 / 3) ?? 0, d3.quantileSorted(sorted, 2 / 3) ?? 0];
+  };
+  const human = d3.scaleThreshold().domain(tertiles('H_pref_norm')).range([0, 1, 2]);
+  const economic = d3.scaleThreshold().domain(tertiles('logE_pref_norm')).range([0, 1, 2]);
+
+  return {
+    classOf(row) {
+      const h = +row?.H_pref_norm;
+      const e = +row?.logE_pref_norm;
+      if (!row || !(+row.n_events > 0) || !Number.isFinite(h) || !Number.isFinite(e)) return null;
+      const hc = human(h);
+      const ec = economic(e);
+      return { human: hc, economic: ec, color: BIVARIATE_COLORS[hc][ec] };
+    },
+    cuts: { human: human.domain(), economic: economic.domain() },
+    label: 'Human × economic burden',
+    note: 'classes are the thirds of human burden (H_pref_norm) and of economic burden (logE_pref_norm) ' +
+      'over the years with events; years without events are left blank',
+  };
+}
@@ -0,0 +1,237 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { loadDisasterEvents } from "./event_data.js";
+import { RISK_MODEL_DEFAULTS } from "./app_state.js";
+import { memoizeLoad } from "./memoize_load.js";
+
+// risk_model.js
+// The prefecture-year risk index of Explore.ipynb, recomputed in the browser
+// so the coefficients can be changed (appState.riskModel):
+//   H_evt = affected + injured + homeless + deathWeight·deaths,  E_evt = damage (USD)
+//   burdens = Σ H_evt / Pop, Σ E_evt / Pop per (prefecture, year)
+//   R_raw = humanWeight·MinMax(human burden) + (1 − humanWeight)·MinMax(log10(1 + econ burden))
+//   R_year = MinMax(R_raw)
+//   R_cum = (1 − α)·R_cum_prev + α·R_raw over each prefecture's event years,
+//           α = 1 − 2^(−1/halfLife)
+//   R_final = (1 − blendWeight)·R_year + blendWeight·MinMax(R_cum)
+// MinMax is global over all prefecture-years, as upstream. With the default
+// coefficients the rows match japan_prefecture_year_risk_profile_WITH_DECAY.csv.
+// applyDecay() re-runs only the last two steps, so a new half-life or blend
+// weight can be applied to the published yearly scores without the events.
+//
+// Population per prefecture-year comes from japan_disaster_events_with_pop.csv
+// (population_at_event). That file only carries the combined
+// human_impact_best, so deaths / injured / affected / homeless and the damage
+// are summed from the merged event CSV (event_data.js) – the same rows the
+// upstream H_sum / E_sum were built from.
+
+export const EVENTS_WITH_POP_URL = './data/japan_disaster_events_with_pop.csv';
+
+// Same columns, in the same order, as the risk CSV
+export const RISK_COLUMNS = [
+  'prefecture_norm', 'year', 'population', 'n_events', 'H_sum', 'E_sum', 'human_burden', 'econ_burden',
+  'H_pref_norm', 'E_pref_norm', 'logE_pref_norm', 'N_norm', 'risk_pref_raw', 'risk_year_norm',
+  'risk_cum_raw', 'risk_cum_norm', 'risk_final', 'half_life_years', 'decay_alpha', 'blend_prev_weight',
+];
+
+function num(v) {
+  const n = +v;
+  return (v == null || v === '' || !Number.isFinite(n)) ? 0 : n;
+}
+
+// (x − min) / (max − min) over all values; 0 everywhere when they are all equal
+function minmax(values) {
+  const [lo, hi] = d3.extent(values);
+  return values.map(v => (hi > lo ? (v - lo) / (hi - lo) : 0));
+}
+
+// Event rows the index counts: those with a prefecture and a year
+function countedEvents(events) {
+  return events.filter(r => r.prefecture_norm && Number.isFinite(+r.year) && r.year !== '');
+}
+
+function build(events, popRows) {
+  const population = new Map(); // `${norm}::${year}` → population_at_event
+  for (const r of popRows) {
+    const key = `${r.prefecture_norm}::${+r.year}`;
+    const pop = +r.population_at_event;
+    if (!population.has(key) && r.population_at_event !== '' && Number.isFinite(pop)) population.set(key, pop);
+  }
+
+  const groups = d3.rollups(
+    countedEvents(events),
+    list => ({
+      n_events: new Set(list.map(r => r.disno)).size,
+      deaths: d3.sum(list, r => num(r.deaths)),
+      injured: d3.sum(list, r => num(r.injured)),
+      affected: d3.sum(list, r => num(r.affected)),
+      homeless: d3.sum(list, r => num(r.homeless)),
+      E_sum: d3.sum(list, r => Math.max(0, num(r.damage_final_usd))),
+    }),
+    r => r.prefecture_norm,
+    r => +r.year,
+  );
+
+  const inputs = [];
+  for (const [norm, byYear] of groups) {
+    for (const [year, sums] of byYear) {
+      inputs.push({ prefecture_norm: norm, year, population: population.get(`${norm}::${year}`) ?? null, ...sums });
+    }
+  }
+  inputs.sort((a, b) => d3.ascending(a.prefecture_norm, b.prefecture_norm) || a.year - b.year);
+  const missing = inputs.filter(d => !(d.population > 0)).length;
+  if (missing) console.warn(`[risk_model] ${missing} prefecture-years without population (burden set to 0)`);
+  console.log(`[risk_model] ${inputs.length} prefecture-years from ${events.length} event rows`);
+  return inputs;
+}
+
+/**
+ * Per prefecture-year sums of the event impacts, plus population.
+ * @returns {Promise<object[]>} { prefecture_norm, year, population, n_events,
+ *   deaths, injured, affected, homeless, E_sum }, sorted by prefecture then year
+ */
+export const loadRiskInputs = memoizeLoad(() => Promise.all([loadDisasterEvents(), d3.csv(EVENTS_WITH_POP_URL)])
+  .then(([events, popRows]) => build(events, popRows)));
+
+/**
+ * Distinct events (disno) per prefecture-year, from the rows n_events counts.
+ * Lets a group of prefectures count an event that hit several of them once.
+ * @returns {Promise<(norm: string, year: number) => Set<string>|null>}
+ */
+export const loadEventIds = memoizeLoad(() => loadDisasterEvents().then(events => {
+  const ids = d3.rollup(countedEvents(events), list => new Set(list.map(r => r.disno)), r => r.prefecture_norm, r => +r.year);
+  return (norm, year) => ids.get(norm)?.get(year) ?? null;
+}));
+
+export function sameRiskModel(a, b) {
+  return Object.keys(RISK_MODEL_DEFAULTS).every(k => a[k] === b[k]);
+}
+
+export function isDefaultRiskModel(model) {
+  return sameRiskModel(model, RISK_MODEL_DEFAULTS);
+}
+
+// True when only the decay settings differ from the published model
+export function hasDefaultImpactWeights(model) {
+  return model.deathWeight === RISK_MODEL_DEFAULTS.deathWeight && model.humanWeight === RISK_MODEL_DEFAULTS.humanWeight;
+}
+
+export function decayAlpha(halfLife) {
+  return 1 - Math.pow(2, -1 / halfLife);
+}
+
+/**
+ * Decayed history and final blend for rows that carry risk_pref_raw and
+ * risk_year_norm. Rows are updated in place.
+ * @param {object[]} rows  sparse rows (years with events), any order
+ * @param {{ halfLife: number, blendWeight: number }} model
+ * @returns {object[]} the same rows
+ */
+export function applyDecay(rows, model) {
+  const { halfLife, blendWeight } = model;
+  const alpha = decayAlpha(halfLife);
+
+  for (const list of d3.group(rows, r => r.prefecture_norm).values()) {
+    let prev = 0;
+    for (const r of list.slice().sort((a, b) => +a.year - +b.year)) {
+      prev = (1 - alpha) * prev + alpha * +r.risk_pref_raw;
+      r.risk_cum_raw = prev;
+    }
+  }
+  const cumNorm = minmax(rows.map(r => r.risk_cum_raw));
+
+  rows.forEach((r, i) => {
+    r.risk_cum_norm = cumNorm[i];
+    r.risk_final = (1 - blendWeight) * +r.risk_year_norm + blendWeight * cumNorm[i];
+    r.half_life_years = halfLife;
+    r.decay_alpha = alpha;
+    r.blend_prev_weight = blendWeight;
+  });
+  return rows;
+}
+
+/**
+ * Sparse risk rows (years with events only) for the given coefficients.
+ * @param {object[]} inputs  from loadRiskInputs()
+ * @param {{ deathWeight, humanWeight, halfLife, blendWeight }} model  appState.riskModel
+ * @returns {object[]} rows with RISK_COLUMNS (numbers) and `.columns`
+ */
+export function computeRiskRows(inputs, model) {
+  const { deathWeight, humanWeight } = model;
+
+  // The impacts are non-negative, so summing the components per prefecture-year
+  // equals summing the per-event scores
+  const rows = inputs.map(d => {
+    const H_sum = d.affected + d.injured + d.homeless + deathWeight * d.deaths;
+    const pop = d.population > 0 ? d.population : null;
+    return {
+      prefecture_norm: d.prefecture_norm,
+      year: d.year,
+      population: d.population,
+      n_events: d.n_events,
+      H_sum,
+      E_sum: d.E_sum,
+      human_burden: pop ? H_sum / pop : 0,
+      econ_burden: pop ? d.E_sum / pop : 0,
+    };
+  });
+
+  const hNorm = minmax(rows.map(r => r.human_burden));
+  const eNorm = minmax(rows.map(r => r.econ_burden));
+  const logENorm = minmax(rows.map(r => Math.log10(1 + r.econ_burden)));
+  const nNorm = minmax(rows.map(r => r.n_events));
+  rows.forEach((r, i) => {
+    r.H_pref_norm = hNorm[i];
+    r.E_pref_norm = eNorm[i];
+    r.logE_pref_norm = logENorm[i];
+    r.N_norm = nNorm[i];
+    r.risk_pref_raw = humanWeight * hNorm[i] + (1 - humanWeight) * logENorm[i];
+  });
+  const yearNorm = minmax(rows.map(r => r.risk_pref_raw));
+  rows.forEach((r, i) => { r.risk_year_norm = yearNorm[i]; });
+
+  applyDecay(rows, model);
+  rows.columns = RISK_COLUMNS.slice();
+  return rows;
+}
+
+// Coefficients as written in the formulas: up to two decimals, no trailing zeros
+const coef = v => String(+(+v).toFixed(2));
+
+/**
+ * Short label for captions and export metadata, e.g.
+ * "deaths ×50, human 0.6 / economic 0.4, half-life 3 y, history weight 0.5".
+ */
+export function describeRiskModel(model) {
+  return `deaths ×${coef(model.deathWeight)}, human ${coef(model.humanWeight)} / economic ${coef(1 - model.humanWeight)}, ` +
+    `half-life ${coef(model.halfLife)} y, history weight ${coef(model.blendWeight)}`;
+}
+
+/**
+ * Payload formulas with the coefficients of `model` written in (LaTeX and
+ * text), so the rendered math matches the map.
+ * @param {object} formulas  risk_payload_WITH_DECAY.json `formulas`
+ */
+export function formulasFor(formulas, model) {
+  const out = JSON.parse(JSON.stringify(formulas || {}));
+  const m = coef(model.deathWeight);
+  const wh = coef(model.humanWeight);
+  const we = coef(1 - model.humanWeight);
+  const rewrite = s => typeof s !== 'string' ? s : s
+    .replace(/[\d.]+(\s*\\cdot\s*\\text\{deaths\})/g, `${m}$1`)
+    .replace(/[\d.]+(\s*(?:\\cdot|\\,)\s*H\^\{\*\})/g, `${wh}$1`)
+    .replace(/[\d.]+(\s*(?:\\cdot|\\,)\s*\\log E\^\{\*\})/g, `${we}$1`)
+    .replace(/[\d.]+\*deaths/g, `${m}*deaths`)
+    .replace(/[\d.]+\*H_pref_norm/g, `${wh}*H_pref_norm`)
+    .replace(/[\d.]+\*logE_pref_norm/g, `${we}*logE_pref_norm`);
+  for (const f of Object.values(out)) {
+    if (!f || typeof f !== 'object') continue;
+    f.latex = rewrite(f.latex);
+    f.text = rewrite(f.text);
+  }
+  if (out.decay_blend) {
+    out.decay_blend.half_life_years = model.halfLife;
+    out.decay_blend.alpha = +decayAlpha(model.halfLife).toFixed(6);
+    out.decay_blend.blend_prev_weight = model.blendWeight;
+  }
+  return out;
+}
@@ -0,0 +1,64 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { appState, DEATH_WEIGHT_MAX, HALF_LIFE_RANGE, RISK_MODEL_DEFAULTS } from "./app_state.js";
+import { describeRiskModel, isDefaultRiskModel } from "./risk_model.js";
+import { announce } from "./live_region.js";
+
+// risk_model_controls.js
+// "Risk weights" sliders: the death multiplier in the human score (#deathWeight),
+// the human / economic split of the prefecture-year risk (#humanWeight;
+// economic = 1 − human), the decay half-life h (#halfLife, years) and the
+// weight w of the decayed history in the final blend (#blendWeight).
+// Dragging publishes appState.setRiskModel; risk_profile.js recomputes every
+// prefecture-year (risk_model.js) and redraws the map, legend, detail chart
+// and formulas. #resetRiskModel goes back to the published coefficients;
+// #showBaseline (read by risk_profile.js) overlays the published series in
+// the detail chart while the weights differ from it.
+
+const deathInput = d3.select('#deathWeight');
+const humanInput = d3.select('#humanWeight');
+const deathOutput = d3.select('#deathWeightValue');
+const humanOutput = d3.select('#humanWeightValue');
+const halfLifeInput = d3.select('#halfLife');
+const blendInput = d3.select('#blendWeight');
+const halfLifeOutput = d3.select('#halfLifeValue');
+const blendOutput = d3.select('#blendWeightValue');
+const resetButton = d3.select('#resetRiskModel');
+
+const fmt = v => String(+(+v).toFixed(2));
+
+function sync(model) {
+  deathInput.property('value', model.deathWeight);
+  humanInput.property('value', model.humanWeight);
+  deathOutput.text(`×${fmt(model.deathWeight)}`);
+  humanOutput.text(`${fmt(model.humanWeight)} / ${fmt(1 - model.humanWeight)}`);
+  halfLifeInput.property('value', model.halfLife);
+  blendInput.property('value', model.blendWeight);
+  halfLifeOutput.text(`${fmt(model.halfLife)} y`);
+  blendOutput.text(fmt(model.blendWeight));
+  resetButton.property('disabled', isDefaultRiskModel(model));
+}
+
+if (!deathInput.empty() && !humanInput.empty()) {
+  deathInput.attr('max', DEATH_WEIGHT_MAX);
+  halfLifeInput.attr('min', HALF_LIFE_RANGE[0]).attr('max', HALF_LIFE_RANGE[1]);
+
+  const sliders = [
+    [deathInput, 'deathWeight'],
+    [humanInput, 'humanWeight'],
+    [halfLifeInput, 'halfLife'],
+    [blendInput, 'blendWeight'],
+  ];
+  for (const [input, key] of sliders) {
+    input.on('input', () => appState.setRiskModel({ [key]: +input.property('value') }, 'riskweights'));
+    // Announce once the drag ends, not on every step
+    input.on('change', () => announce(`Risk recomputed: ${describeRiskModel(appState.riskModel)}.`));
+  }
+
+  resetButton.on('click', () => {
+    appState.setRiskModel(RISK_MODEL_DEFAULTS, 'riskweights');
+    announce(`Risk weights reset to ${describeRiskModel(RISK_MODEL_DEFAULTS)}.`);
+  });
+
+  appState.on('riskmodelchange.riskControls', ({ riskModel }) => sync(riskModel));
+  sync(appState.riskModel);
+}
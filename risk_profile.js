@@ -1,4 +1,17 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { whenMapReady } from "./map_context.js";
+import { appState, RISK_MODEL_DEFAULTS } from "./app_state.js";
+import { loadPrefectureRegions } from "./prefecture_regions.js";
+import { aggregateRisk, loadPopulation } from "./risk_aggregation.js";
+import { EVENTS_CSV_URL } from "./event_data.js";
+import {
+  BIVARIATE_COLORS, BIVARIATE_LEVELS, buildBivariateScale, buildChangeScale, buildClassScale, changeBaselineLabel,
+  percentileCutpoints,
+} from "./risk_classes.js";
+import {
+  EVENTS_WITH_POP_URL, applyDecay, computeRiskRows, describeRiskModel, formulasFor, hasDefaultImpactWeights,
+  isDefaultRiskModel, loadEventIds, loadRiskInputs, sameRiskModel,
+} from "./risk_model.js";
 
 /** ---------- CONFIG ---------- **/
 const CSV_URL  = "./data/japan_prefecture_year_risk_profile_WITH_DECAY.csv";
@@ -10,7 +23,13 @@ const LEGEND  = d3.select("#map-legend");
 const DETAIL_SVG = d3.select("#detail-svg");
 const DETAIL_TITLE = d3.select("#detail-title");
 const DETAIL_SUMMARY = d3.select("#detail-summary");
-const YEAR_SLIDER = document.getElementById("myRange");
+const DETAIL_PROMPT = "Click a prefecture to explore its profile";
+const BASELINE_TOGGLE = d3.select("#showBaseline");
+const CLASS_SELECT = d3.select("#classification");
+const CHANGE_SELECT = d3.select("#changeBaseline");
+const CHANGE_YEAR = d3.select("#changeYear");
+// Color modes whose fills and legend this script draws
+const RISK_COLOR_MODES = new Set(["risk", "change", "bivariate"]);
 
 const WHITE = "#ffffff";
 const REDS  = d3.schemeReds[9];
@@ -19,9 +38,79 @@ let riskRows = [];
 let riskByPrefYear = new Map(); // key `${pref_norm}::${year}`
 let yearsDomain = [1960, 2018];
 let percentilesSpec = { percentiles:[0,10,25,50,75,90,97,100], global_cutpoints:{} };
-let thresholds = [];
+let payloadBinning = null;  // risk_payload_WITH_DECAY.json `binning` (published weights)
+let riskValues = [];        // dense risk_final values the classes are built from
+let classes = null;         // buildClassScale() result for the selected year
+const classCache = new Map(); // year (year-quantile) or "all" → buildClassScale() result
+let changeStats = null;     // { rows, key, means, classes } for colorMode "change"
+let bivariate = null;       // { rows, level, classes } for colorMode "bivariate"
 let colorScale = d3.scaleThreshold();
 let currentYear = 1960;
+let mapCtx = null; // set in init() from map_context.js
+
+// Region / island aggregation (appState.aggregation); null until the
+// prefecture key, population table and event ids have loaded
+let regions = null;
+let populationOf = null;
+let eventIdsOf = null;
+const aggregates = new WeakMap(); // dense rows → Map(level → aggregateRisk result)
+const LEVEL_LABELS = { region: "region", island: "main island" };
+
+// Risk model (appState.riskModel): the CSV rows are used for the published
+// coefficients, anything else is recomputed (risk_model.js) – from the CSV's
+// yearly scores when only the decay changed, else from the events
+let csvRows = null;        // sparse rows as loaded from CSV_URL
+let baseline = null;       // { rows, byPrefYear }: the CSV rows densified, for the detail overlay
+let riskModel = { ...RISK_MODEL_DEFAULTS }; // coefficients of the current table
+let payloadFormulas = null; // risk_payload_WITH_DECAY.json `formulas`
+let modelRun = 0;          // latest recompute wins when sliders move quickly
+let formulaQueue = Promise.resolve();
+let formulaTimer = null;
+const FORMULA_DELAY_MS = 250;
+
+// Other modules (e.g. data export) read the loaded risk table through these;
+// riskReady rejects when the table could not be loaded
+let resolveRiskReady, rejectRiskReady;
+const riskReady = new Promise((resolve, reject) => { resolveRiskReady = resolve; rejectRiskReady = reject; });
+const riskEvents = d3.dispatch("change");
+
+// Current risk table: dense rows (with decayed fill-ins flagged __synthetic),
+// the `${pref_norm}::${year}` index, the year domain, the source columns and
+// the coefficients it was computed with
+export function getRiskData() {
+  return {
+    riskRows,
+    riskByPrefYear,
+    yearsDomain,
+    columns: window.riskRowsSparse?.columns || [],
+    source: isDefaultRiskModel(riskModel)
+      ? CSV_URL
+      : `${EVENTS_CSV_URL} + ${EVENTS_WITH_POP_URL} (recomputed: ${describeRiskModel(riskModel)})`,
+    model: { ...riskModel },
+  };
+}
+
+export function whenRiskReady() {
+  return riskReady;
+}
+
+// Called with getRiskData() after the table is replaced (e.g. new risk
+// weights), once the map, legend and detail have been redrawn. `name` is a
+// namespace like appState's ("change.<name>").
+export function onRiskDataChange(name, listener) {
+  riskEvents.on(`change.${name}`, listener);
+}
+
+// Series the detail chart draws for a prefecture: its own rows, or those of
+// its region / island when the map is aggregated (group is null otherwise)
+export function detailSeries(norm) {
+  const level = activeLevel();
+  const group = (level !== "prefecture" && norm) ? regions.groupOf(norm, level) : null;
+  const rows = group
+    ? aggregateFor(level).rows.filter(r => r.group === group)
+    : riskRows.filter(r => r.prefecture_norm === norm);
+  return { level: group ? level : "prefecture", group, rows };
+}
 
 // Name canonicalization
 let nameToNorm = new Map(); // many-keys -> prefecture_norm
@@ -52,10 +141,6 @@ function canonToPrefNorm(anyName) {
   const k = toNormKey(anyName);
   return nameToNorm.get(k) || null;
 }
-function getSliderYear() {
-  const v = parseInt(YEAR_SLIDER?.value ?? currentYear, 10);
-  return isNaN(v) ? currentYear : v;
-}
 
 // Build a look-up from your Kaggle key once loadAll() reads it:
 //   keyCanon -> prefecture_norm
@@ -100,20 +185,6 @@ function resolvePrefectureNameFromProps(props = {}) {
   return { raw: first || "", cleaned: cleanName(first || ""), norm: guess, matched: false, keyUsed: null };
 }
 
-/** ---------- WAIT FOR MAP ---------- **/
-function waitForMapReady(maxWaitMs = 4000) {
-  return new Promise((resolve, reject) => {
-    const t0 = performance.now();
-    (function tick() {
-      const g = d3.select("g.map-group");
-      const cnt = g.selectAll("path.prefecture").size();
-      if (cnt > 0) return resolve(g);
-      if (performance.now() - t0 > maxWaitMs) return reject(new Error("Map paths not found"));
-      setTimeout(tick, 80);
-    })();
-  });
-}
-
 // --- Decay helpers ---
 function decayForward(prev, years, alpha) {
   // risk_t = risk_{t-Δ} * (1 - alpha)^{Δ}
@@ -195,6 +266,71 @@ function densifyRiskRows(riskRowsLocal, yearsDomain) {
 }
 
 /** ---------- LOAD ---------- **/
+// Densify sparse rows and rebuild the color bins (on load and whenever the
+// risk model changes)
+function setRiskTable(riskRowsLocal) {
+  // Densify series
+  const { denseRows, denseMap } = densifyRiskRows(riskRowsLocal, yearsDomain);
+
+  // Expose both (local AND window to be safe for other scripts/devtools)
+  riskRows           = denseRows;     window.riskRows           = denseRows;
+  riskByPrefYear     = denseMap;      window.riskByPrefYear     = denseMap;
+  window.riskRowsSparse = riskRowsLocal;
+
+  // Diagnostics
+  const synthCount = denseRows.filter(r => r.__synthetic).length;
+  console.log(`[risk_profile] densify: ${synthCount} synthetic rows (decay carry-forward)`);
+
+  // Classes are built from the DENSE values
+  riskValues = denseRows.map(r => +r.risk_final).filter(Number.isFinite);
+  window.vMin = d3.min(riskValues) ?? 0;
+  window.vMax = d3.max(riskValues) ?? 1;
+
+  // Percentile cutpoints: shipped in the payload for the published table,
+  // recomputed the same way for any other
+  percentilesSpec = (riskRowsLocal === csvRows && payloadBinning)
+    ? payloadBinning
+    : percentileCutpoints(riskRowsLocal, payloadBinning?.percentiles || percentilesSpec.percentiles);
+  window.percentilesSpec = percentilesSpec;
+
+  rebuildColorScale();
+}
+
+// Color scale for appState.classification in the selected year; call with
+// reset = true when the table or the scheme changed
+function rebuildColorScale(reset = true) {
+  if (reset) classCache.clear();
+  classes = classesFor(currentYear);
+  colorScale = classes.scale;
+  window.colorScale = colorScale;
+  window.colorBins = colorScale.domain();
+}
+
+// One set of classes for every year, or each year's own (year-quantile)
+function classesFor(year) {
+  const scheme = appState.classification;
+  const key = scheme === "year-quantile" ? +year : "all";
+  if (!classCache.has(key)) {
+    classCache.set(key, buildClassScale(scheme, { values: riskValues, binning: percentilesSpec, year: +year }));
+  }
+  return classCache.get(key);
+}
+
+// Fill for a risk row: per-year schemes color each year with its own
+// cutpoints, change mode colors the row's change against the baseline and
+// bivariate mode its human / economic class
+function fillFor(row) {
+  if (appState.colorMode === "bivariate") return currentBivariate().classes.classOf(row)?.color || "#f9fbfd";
+  if (appState.colorMode === "change") {
+    const level = activeLevel();
+    const change = changeOf(level === "prefecture" ? row.prefecture_norm : row.group, +row.year, level);
+    return change ? currentChangeStats().classes.scale(change.delta) : "#f9fbfd";
+  }
+  const v = +row.risk_final;
+  if (appState.classification === "year-quantile" && +row.year !== +currentYear) return classesFor(+row.year).scale(v);
+  return colorScale(v);
+}
+
 async function loadAll() {
     // paths
     const KEY_URL  = "./data/prefecture_key_from_kaggle.csv";
@@ -231,78 +367,218 @@ async function loadAll() {
     const yearsSparse = riskRowsLocal.map(r => +r.year).filter(Number.isFinite);
     yearsDomain = [d3.min(yearsSparse) || 1960, d3.max(yearsSparse) || 2018];   // <-- set local
 
-    // Densify series
-    const { denseRows, denseMap } = densifyRiskRows(riskRowsLocal, yearsDomain);
-
-    // Expose both (local AND window to be safe for other scripts/devtools)
-    riskRows           = denseRows;     window.riskRows           = denseRows;
-    riskByPrefYear     = denseMap;      window.riskByPrefYear     = denseMap;
-    window.riskRowsSparse = riskRowsLocal;
-
-    // Diagnostics
-    const synthCount = denseRows.filter(r => r.__synthetic).length;
-    console.log(`[risk_profile] densify: ${synthCount} synthetic rows (decay carry-forward)`);
-
-    // Build color scale domain from DENSE values
-    const values = denseRows.map(r => +r.risk_final).filter(Number.isFinite);
-    const vMin = d3.min(values) ?? 0, vMax = d3.max(values) ?? 1;
-
-    // Quantile bins (9)
-    const colorBins = d3.range(0.1, 1.0, 0.1).map(q => d3.quantile(values, q));
-    colorScale = d3.scaleThreshold().domain(colorBins).range(d3.schemeReds[9]);  // <-- set local
-    window.colorBins = colorBins;                                                // (optional)
-    window.colorScale = colorScale;                                              // (optional)
-
-    console.log("[risk_profile] key rows:", keyRows.length);
-    console.log("[risk_profile] risk rows:", riskRowsLocal.length, "min/max risk_final", vMin, vMax);
-    console.log("[risk_profile] years:", yearsDomain);
-
-    // Keep these for legend/ticks
-    window.vMin = vMin;
-    window.vMax = vMax;
-
-    // (Optional) expose a cutpoint map the old code expected
-    window.percentilesSpec = {
-    percentiles: [0,10,20,30,40,50,60,70,80,90,100],
-    // Turn our 9 bins into a 0..100 map; use linear spacing to label
-    global_cutpoints: (() => {
-        const cuts = {};
-        const stops = [vMin, ...colorBins, vMax]; // 10 edges → 9 bins
-        // map them to 0,10,...,100 so labels are monotone & nice
-        const labels = d3.range(0, 110, 10);
-        stops.forEach((s, i) => { cuts[labels[i]] = s; });
-        return cuts;
-    })()
-    };
-
-    // Optional formulas json
+    // Optional formulas json (also carries the percentile cutpoints)
     try {
         window.widgetJSON = await d3.json(JSON_URL_LOCAL);
+        payloadBinning = window.widgetJSON?.binning || null;
         console.log("[risk_profile] formulas json loaded");
     } catch (e) {
         console.log("[risk_profile] formulas json not found (ok)");
     }
 
+    csvRows = riskRowsLocal;
+    setRiskTable(riskRowsLocal);
+    baseline = { rows: riskRows, byPrefYear: riskByPrefYear };
+
+    console.log("[risk_profile] key rows:", keyRows.length);
+    console.log("[risk_profile] risk rows:", riskRowsLocal.length, "min/max risk_final", window.vMin, window.vMax);
+    console.log("[risk_profile] years:", yearsDomain);
+
     console.timeEnd("[risk_profile] loadAll");
 }
 
+/** ---------- AGGREGATION ---------- **/
+// Aggregation level in effect: "prefecture" until the region data is loaded
+function activeLevel() {
+  const level = appState.aggregation;
+  return (level !== "prefecture" && regions && populationOf) ? level : "prefecture";
+}
+
+// Group rows for a level (of the current table, or e.g. the baseline), built
+// once per table
+function aggregateFor(level, rows = riskRows) {
+  let byLevel = aggregates.get(rows);
+  if (!byLevel) aggregates.set(rows, byLevel = new Map());
+  if (!byLevel.has(level)) {
+    byLevel.set(level, aggregateRisk(rows, norm => regions.groupOf(norm, level), populationOf, eventIdsOf));
+  }
+  return byLevel.get(level);
+}
+
+// Prefecture (or region / island when aggregated) a prefecture is shown as
+function displayId(norm, level = activeLevel()) {
+  if (!norm) return null;
+  return level === "prefecture" ? norm : regions.groupOf(norm, level);
+}
+
+// Row of a prefecture or group in a year
+function rowAt(id, year, level) {
+  if (!id) return null;
+  return (level === "prefecture"
+    ? riskByPrefYear.get(`${id}::${year}`)
+    : aggregateFor(level).byGroupYear.get(`${id}::${year}`)) || null;
+}
+
+// Row shown for a prefecture in a year: its own, or its group's when aggregated
+function displayRow(norm, year, level = activeLevel()) {
+  return rowAt(displayId(norm, level), year, level);
+}
+
+/** ---------- CHANGE ---------- **/
+// Means per prefecture / group and the diverging scale for colorMode "change",
+// rebuilt when the table, aggregation level or baseline changes
+function currentChangeStats() {
+  const level = activeLevel();
+  const { mode, year } = appState.changeBaseline;
+  const key = `${level}|${mode}|${year}`;
+  if (changeStats && changeStats.rows === riskRows && changeStats.key === key) return changeStats;
+
+  const rows = level === "prefecture" ? riskRows : aggregateFor(level).rows;
+  const idOf = r => (level === "prefecture" ? r.prefecture_norm : r.group);
+  const means = d3.rollup(rows, list => d3.mean(list, r => +r.risk_final), idOf);
+  changeStats = { rows: riskRows, key, means };
+  const deltas = rows.map(r => changeOf(idOf(r), +r.year, level)?.delta);
+  changeStats.classes = buildChangeScale(deltas, appState.changeBaseline, yearsDomain);
+  return changeStats;
+}
+
+// { value, base, delta } of a prefecture or group against appState.changeBaseline,
+// or null when either side is missing (e.g. the first year against the previous one)
+function changeOf(id, year, level) {
+  const row = rowAt(id, year, level);
+  if (!row) return null;
+  const { mode, year: refYear } = appState.changeBaseline;
+  let base;
+  if (mode === "mean") base = changeStats.means.get(id);
+  else base = rowAt(id, mode === "previous" ? year - 1 : refYear, level)?.risk_final;
+  if (base == null || !Number.isFinite(+base)) return null;
+  const value = +row.risk_final;
+  return { value, base: +base, delta: value - +base };
+}
+
+/**
+ * Change in risk_final of a prefecture (its region / island's when the map is
+ * aggregated) against appState.changeBaseline, for tooltips.
+ * @returns {{ value, base, delta, baseline: string } | null} baseline is a label
+ *   such as "previous year" or "1995"; null before the data has loaded or when
+ *   there is nothing to compare with
+ */
+export function riskChange(norm, year = currentYear) {
+  if (!mapCtx || !riskRows.length) return null;
+  const level = activeLevel();
+  currentChangeStats();
+  const change = changeOf(displayId(norm, level), +year, level);
+  return change && { ...change, baseline: changeBaselineLabel(appState.changeBaseline, yearsDomain) };
+}
+
+// Signed risk × 100 for labels ("+3.2", "−1.5")
+function formatDelta(delta) {
+  const text = (delta * 100).toFixed(1);
+  if (+text === 0) return "0.0";
+  return delta > 0 ? `+${text}` : text.replace("-", "−");
+}
+
+/** ---------- BIVARIATE ---------- **/
+// Human / economic tertiles of the rows at the current aggregation level,
+// rebuilt when the table or the level changes
+function currentBivariate() {
+  const level = activeLevel();
+  if (bivariate && bivariate.rows === riskRows && bivariate.level === level) return bivariate;
+  const rows = level === "prefecture" ? riskRows : aggregateFor(level).rows;
+  bivariate = { rows: riskRows, level, classes: buildBivariateScale(rows) };
+  return bivariate;
+}
+
+// "human high / economic low" for a row, or "" when it has no class
+function bivariateText(row) {
+  const c = currentBivariate().classes.classOf(row);
+  return c ? `human ${BIVARIATE_LEVELS[c.human]} / economic ${BIVARIATE_LEVELS[c.economic]}` : "";
+}
+
+// Classes behind the current fills and legend
+function activeClasses() {
+  if (appState.colorMode === "bivariate") return currentBivariate().classes;
+  return appState.colorMode === "change" ? currentChangeStats().classes : classes;
+}
+
+// Show the baseline controls in change mode, the classification with the
+// risk colors
+function syncColorControls() {
+  const change = appState.colorMode === "change";
+  const { mode, year } = appState.changeBaseline;
+  CHANGE_SELECT.property("value", mode).attr("hidden", change ? null : true);
+  CHANGE_YEAR.property("value", year).attr("hidden", change && mode === "year" ? null : true);
+  CLASS_SELECT.attr("hidden", appState.colorMode === "risk" ? null : true);
+}
+
+/** ---------- RISK MODEL ---------- **/
+// Sparse rows for a set of coefficients: the CSV for the published ones, the
+// CSV's yearly scores re-decayed when only half-life / blend changed,
+// otherwise recomputed from the event and population CSVs
+async function rowsForModel(model) {
+  if (csvRows && isDefaultRiskModel(model)) return csvRows;
+  if (csvRows && hasDefaultImpactWeights(model)) {
+    const rows = applyDecay(csvRows.map(r => ({ ...r, year: +r.year })), model);
+    rows.columns = csvRows.columns;
+    return rows;
+  }
+  return computeRiskRows(await loadRiskInputs(), model);
+}
+
+// Published series next to the current one in the detail chart
+function showBaseline() {
+  return !!baseline && !isDefaultRiskModel(riskModel) && (BASELINE_TOGGLE.empty() || BASELINE_TOGGLE.property("checked"));
+}
+
+// Swap in the table for appState.riskModel and redraw everything that shows it
+async function applyRiskModel() {
+  const model = appState.riskModel;
+  const run = ++modelRun;
+  let rows;
+  try {
+    rows = await rowsForModel(model);
+  } catch (err) {
+    console.error("[risk_profile] could not recompute the risk index:", err);
+    return;
+  }
+  if (run !== modelRun) return; // a newer change is on its way
+
+  riskModel = model;
+  setRiskTable(rows);
+  shadePrefectures(currentYear);
+  drawLegend();
+  refreshDetail();
+  scheduleFormulas();
+  riskEvents.call("change", null, getRiskData());
+}
+
 /** ---------- PAINT ---------- **/
 function shadePrefectures(year) {
   window.currentYear = year;
-  const g = d3.select("g.map-group");
-  const pts = g.select("g.points");
+  // Other color modes (e.g. region, see map_regions.js) own the fills
+  if (!RISK_COLOR_MODES.has(appState.colorMode)) return;
 
   let total = 0, hits = 0, misses = 0;
   const missList = [];
+  // Change mode: Δ against the baseline on the diverging scale; bivariate:
+  // the human / economic class of the row
+  const change = appState.colorMode === "change";
+  const scale = change ? currentChangeStats().classes.scale : colorScale;
+  const bivariateClass = appState.colorMode === "bivariate" ? currentBivariate().classes.classOf : null;
 
-  g.selectAll("path.prefecture").each(function(d) {
+  mapCtx.prefectures.each(function(d) {
     total += 1;
     const norm = d?.properties?.__prefNorm || "";
-    const row  = norm ? riskByPrefYear.get(`${norm}::${year}`) : null;
-    const val  = row ? +row.risk_final : NaN;
+    const row  = displayRow(norm, year);
+    const val  = !row ? NaN : change ? riskChange(norm, year)?.delta ?? NaN : +row.risk_final;
     const sel  = d3.select(this);
-    if (Number.isFinite(val)) {
-      sel.attr("fill", colorScale(val));
+    if (bivariateClass) {
+      const c = bivariateClass(row);
+      sel.attr("fill", c ? c.color : "#f9fbfd");
+      if (c) hits += 1;
+      else { misses += 1; missList.push(norm || "(unnamed)"); }
+    } else if (Number.isFinite(val)) {
+      sel.attr("fill", scale(val));
       hits += 1;
     } else {
       sel.attr("fill", "#f9fbfd");
@@ -311,7 +587,8 @@ function shadePrefectures(year) {
     }
   });
 
-  if (!pts.empty()) pts.raise();
+  markSelectedGroup();
+  mapCtx.layer("points").raise();
   
   // Add hover handlers after shading prefectures
   bindHoverHandlers();
@@ -320,20 +597,34 @@ function shadePrefectures(year) {
   if (misses) console.debug(`[risk_profile] sample misses ${year}:`, missList.slice(0, 8));
 }
 
+// When aggregated, outline every prefecture in the selected prefecture's group
+function markSelectedGroup() {
+  const level = activeLevel();
+  const sel = appState.prefecture;
+  const group = (level !== "prefecture" && sel) ? regions.groupOf(sel.norm || sel.name, level) : null;
+  mapCtx.prefectures.classed("in-selected-group", d =>
+    !!group && regions.groupOf(d?.properties?.__prefNorm || "", level) === group);
+}
+
 /** ---------- LEGEND ---------- **/
 function drawLegend() {
+  if (!RISK_COLOR_MODES.has(appState.colorMode)) return;
   LEGEND.selectAll("*").remove();
 
   // If the scale isn't ready, bail silently
-  if (!colorScale || !colorScale.domain || !colorScale.range) return;
+  if (!classes) return;
+  drawClassLabel();
 
-  const thresholds = colorScale.domain();      // length 8 for Reds[9]
-  const colors     = colorScale.range();       // length 9
-  const minVal     = (typeof window.vMin === "number") ? window.vMin : 0;
-  const maxVal     = (typeof window.vMax === "number") ? window.vMax : 1;
+  const shown = activeClasses();
+  if (appState.colorMode === "bivariate") {
+    drawBivariateLegend(shown);
+    return;
+  }
 
-  // Bin edges = [min, t1, t2, ..., t8, max]
-  const edges = [minVal, ...thresholds, maxVal];
+  // Bin edges [min, t1, …, max] (evenly spaced values for the continuous and
+  // change scales, symmetric around 0 for the latter) and one swatch per bin
+  // (many thin ones for the continuous scales)
+  const { edges, colors } = shown;
 
   // Container
   const box = LEGEND.append("div")
@@ -357,19 +648,123 @@ function drawLegend() {
       .style("background", colors[i]);
   }
 
-  // Tick labels under the edges (integers, risk × 100)
+  // Tick labels under the edges (risk × 100; integers unless close edges
+  // would read the same)
+  const rounded = edges.map(v => Math.round(v * 100));
+  const precise = rounded.some((v, i) => i > 0 && v === rounded[i - 1]);
   const ticks = box.append("div").attr("class", "legend-ticks");
   edges.forEach((v, i) => {
     ticks.append("span")
       .attr("class", "legend-tick")
       .style("left", `${(i / (edges.length - 1)) * 100}%`)
-      .text(String(Math.round(v * 100)));
+      .text(shown.signed ? formatDelta(v) : precise ? (v * 100).toFixed(1) : String(rounded[i]));
   });
 
   // Note
   box.append("div")
     .attr("class", "legend-note")
-    .text("Numbers are risk × 100; colors are binned by percentiles.");
+    .text(`Numbers are ${shown.signed ? "changes in risk" : "risk"} × 100; ${shown.note}.` + legendContext());
+}
+
+// Aggregation level and non-default weights, appended to the legend notes
+function legendContext() {
+  const level = activeLevel();
+  const weights = isDefaultRiskModel(riskModel) ? "" : ` Weights: ${describeRiskModel(riskModel)}.`;
+  return (level === "prefecture" ? "" : ` Each ${LEVEL_LABELS[level]} shows the population-weighted mean of its prefectures.`) +
+    weights;
+}
+
+// Square 3 × 3 key for the bivariate colors (economic burden to the right,
+// human burden upwards) with the three telling corners spelled out. Drawn as
+// SVG so figure_export.js copies it as-is.
+function drawBivariateLegend(bi) {
+  const box = LEGEND.append("div").attr("class", "legend legend--bivariate");
+  const cell = 18;
+  const size = cell * 3;
+  const margin = { top: 6, left: 20, bottom: 20 };
+  const W = margin.left + size + 200;
+  const H = margin.top + size + margin.bottom;
+
+  const svg = box.append("svg")
+    .attr("class", "bivariate-key")
+    .attr("width", W)
+    .attr("height", H)
+    .attr("viewBox", `0 0 ${W} ${H}`)
+    .attr("role", "img")
+    .attr("aria-label", "Bivariate key: human burden (low to high, upwards) against economic burden (low to high, rightwards)");
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const cells = d3.cross(d3.range(3), d3.range(3)).map(([human, economic]) => ({ human, economic }));
+  g.selectAll("rect.bivariate-cell")
+    .data(cells)
+    .join("rect")
+    .attr("class", "bivariate-cell")
+    .attr("x", d => d.economic * cell)
+    .attr("y", d => (2 - d.human) * cell)
+    .attr("width", cell)
+    .attr("height", cell)
+    .attr("fill", d => BIVARIATE_COLORS[d.human][d.economic])
+    .append("title")
+    .text(d => `Human burden ${BIVARIATE_LEVELS[d.human]}, economic burden ${BIVARIATE_LEVELS[d.economic]}`);
+
+  g.append("text")
+    .attr("x", size / 2).attr("y", size + 14)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 11)
+    .attr("fill", "#555")
+    .text("Economic →");
+  g.append("text")
+    .attr("transform", `translate(-7,${size / 2}) rotate(-90)`)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 11)
+    .attr("fill", "#555")
+    .text("Human →");
+
+  const corners = [
+    { human: 2, economic: 0, text: "deadly but cheap" },
+    { human: 2, economic: 2, text: "deadly and costly" },
+    { human: 0, economic: 2, text: "costly but survivable" },
+  ];
+  const notes = g.append("g").attr("transform", `translate(${size + 14},0)`)
+    .selectAll("g")
+    .data(corners)
+    .join("g")
+    .attr("transform", (d, i) => `translate(0,${i * cell + cell / 2})`);
+  notes.append("rect")
+    .attr("y", -5).attr("width", 10).attr("height", 10)
+    .attr("fill", d => BIVARIATE_COLORS[d.human][d.economic]);
+  notes.append("text")
+    .attr("x", 16).attr("dy", "0.35em")
+    .attr("font-size", 11)
+    .attr("fill", "#333")
+    .text(d => d.text);
+
+  box.append("div")
+    .attr("class", "legend-note")
+    .text(`Bivariate colors: ${bi.note}.` + legendContext());
+}
+
+// Classification scheme (or change baseline) named in the bottom-left corner
+// of the map (risk colors only)
+function drawClassLabel() {
+  const show = RISK_COLOR_MODES.has(appState.colorMode) && !!classes;
+  const shown = show ? activeClasses() : null;
+  const label = mapCtx.svg.selectAll("g.classification-label")
+    .data(show ? [shown] : [])
+    .join(enter => {
+      const g = enter.append("g").attr("class", "classification-label").style("pointer-events", "none");
+      g.append("rect").attr("rx", 10).attr("height", 20).attr("y", -10);
+      g.append("text").attr("x", 9).attr("dy", "0.35em");
+      return g;
+    });
+  if (!show) return;
+
+  const perYear = appState.colorMode === "risk" && appState.classification === "year-quantile";
+  const text = `Colors: ${shown.label}` + (perYear ? ` (${currentYear})` : "");
+  const node = label.select("text").text(text).node();
+  const textWidth = (node.getComputedTextLength && node.getComputedTextLength()) || text.length * 6.5;
+  label.select("rect").attr("width", textWidth + 18);
+  label.attr("transform", `translate(12,${(mapCtx.visibleHeight || mapCtx.height) - 22})`);
 }
 
 /** ---------- DETAIL ---------- **/
@@ -377,7 +772,7 @@ function renderDetail(prefRawName) {
   // Find the stamped norm from any polygon whose raw name cleans to the same string
   let norm = null;
   const rawClean = cleanName(prefRawName);
-  d3.select("g.map-group").selectAll("path.prefecture").each(function(d) {
+  mapCtx.prefectures.each(function(d) {
     const p = d?.properties || {};
     const raw = p.name_en || p.NAME_1 || p.name || p.prefecture || p.pref_name || p.N03_001 || p.N03_004 || "";
     if (cleanName(raw) === rawClean) norm = p.__prefNorm || null;
@@ -389,7 +784,8 @@ function renderDetail(prefRawName) {
     norm = r.norm;
   }
 
-  const rows = window.riskRows.filter(r => r.prefecture_norm === norm);
+  // Aggregated: the series of the prefecture's region / island instead
+  const { level, group, rows } = detailSeries(norm);
   if (rows.length === 0) {
     d3.select("#detail-title").text(`No data for ${prefRawName}`);
     d3.select("#detail-svg").selectAll("*").remove();
@@ -402,7 +798,9 @@ function renderDetail(prefRawName) {
   const DETAIL_TITLE = d3.select("#detail-title");
   const DETAIL_SUMMARY = d3.select("#detail-summary");
 
-  DETAIL_TITLE.text(`${norm} — risk over time`);
+  DETAIL_TITLE.text(group
+    ? `${group} (${LEVEL_LABELS[level]}, ${rows[0].members.length} prefectures) — risk over time`
+    : `${norm} — risk over time`);
 
   const margin = { top: 20, right: 18, bottom: 28, left: 38 };
   const W = Math.max(520, parseInt(DETAIL_SVG.style("width")) || 560);
@@ -419,18 +817,80 @@ function renderDetail(prefRawName) {
   gg.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x).ticks(8).tickFormat(d3.format("d")));
   gg.append("g").call(d3.axisLeft(y).ticks(5));
 
+  // Published index (default weights) as a dashed line behind the dots
+  const baseRows = !showBaseline() ? [] : group
+    ? aggregateFor(level, baseline.rows).rows.filter(r => r.group === group)
+    : baseline.rows.filter(r => r.prefecture_norm === norm);
+  const baseByYear = new Map(baseRows.map(r => [+r.year, r]));
+  if (baseRows.length) {
+    gg.append("path")
+      .attr("class", "detail-baseline")
+      .attr("d", d3.line().x(d => x(+d.year)).y(d => y(+d.risk_final))(baseRows))
+      .attr("fill", "none")
+      .attr("stroke", "#8a8f98")
+      .attr("stroke-width", 1.4)
+      .attr("stroke-dasharray", "4,3");
+    gg.append("text")
+      .attr("class", "detail-baseline-label")
+      .attr("x", width).attr("y", -6)
+      .attr("text-anchor", "end")
+      .attr("font-size", 11)
+      .attr("fill", "#666")
+      .text("dashed line: published index (baseline)");
+  }
+  const baseText = d => {
+    const b = baseByYear.get(+d.year);
+    return b ? ` • Baseline ${(b.risk_final*100).toFixed(1)}` : "";
+  };
+
+  // Change mode: Δ against the change baseline, with a level line for a
+  // reference year or the mean
+  const changeMode = appState.colorMode === "change";
+  const changeLabel = changeBaselineLabel(appState.changeBaseline, yearsDomain);
+  if (changeMode) currentChangeStats();
+  const changeText = d => {
+    const c = changeMode ? changeOf(group || norm, +d.year, level) : null;
+    return c ? ` • Change vs ${changeLabel} ${formatDelta(c.delta)}` : "";
+  };
+  // Bivariate mode: the row's human / economic class
+  const bivariateNote = d => {
+    const text = appState.colorMode === "bivariate" ? bivariateText(d) : "";
+    return text ? ` • Burden ${text}` : "";
+  };
+  const referenceRisk = !changeMode ? null
+    : appState.changeBaseline.mode === "mean" ? changeStats.means.get(group || norm)
+    : appState.changeBaseline.mode === "year" ? rowAt(group || norm, appState.changeBaseline.year, level)?.risk_final
+    : null;
+  if (referenceRisk != null && Number.isFinite(+referenceRisk)) {
+    const ry = y(+referenceRisk);
+    gg.append("line")
+      .attr("class", "detail-change-reference")
+      .attr("x1", 0).attr("x2", width)
+      .attr("y1", ry).attr("y2", ry)
+      .attr("stroke", "#4575b4")
+      .attr("stroke-width", 1.2)
+      .attr("stroke-dasharray", "1,3");
+    gg.append("text")
+      .attr("class", "detail-change-reference-label")
+      .attr("x", 4).attr("y", ry - 4)
+      .attr("font-size", 11)
+      .attr("fill", "#4575b4")
+      .text(`${changeLabel} level`);
+  }
+
   gg.selectAll("circle")
     .data(rows)
     .join("circle")
     .attr("cx", d => x(+d.year))
     .attr("cy", d => y(+d.risk_final))
     .attr("r", d => (+d.year === +window.currentYear ? 4 : 3))
-    .attr("fill", d => colorScale(+d.risk_final))
+    .attr("fill", d => fillFor(d))
     .attr("stroke", d => d.__synthetic ? "#666" : "#333")
     .attr("stroke-dasharray", d => d.__synthetic ? "2,2" : null)
     .attr("stroke-width", 0.7)
     .append("title")
-    .text(d => `Year ${d.year}\nRisk ${(d.risk_final*100).toFixed(1)}${d.__synthetic ? " (decayed)" : ""}`);
+    .text(d => `Year ${d.year}\nRisk ${(d.risk_final*100).toFixed(1)}${d.__synthetic ? " (decayed)" : ""}${group ? " (population-weighted)" : ""}` +
+      `${baseText(d).replace(" • ", "\n")}${changeText(d).replace(" • ", "\n")}${bivariateNote(d).replace(" • ", "\n")}`);
 
   gg.append("line")
     .attr("x1", x(window.currentYear)).attr("x2", x(window.currentYear))
@@ -439,7 +899,8 @@ function renderDetail(prefRawName) {
 
   const latest = rows.find(r => +r.year === +window.currentYear);
   const txt = latest
-    ? `Year ${window.currentYear} • Risk ${(latest.risk_final*100).toFixed(1)} • Events ${latest.n_events ?? "—"}`
+    ? `Year ${window.currentYear} • Risk ${(latest.risk_final*100).toFixed(1)}${changeText(latest)}${bivariateNote(latest)}${baseText(latest)} • Events ${latest.n_events ?? "—"}` +
+      (group ? ` • Population-weighted mean of ${latest.members.join(", ")} (selected: ${norm})` : "")
     : `Year ${window.currentYear} • Risk —`;
   DETAIL_SUMMARY.text(txt);
 }
@@ -459,6 +920,27 @@ async function waitForMathJax() {
   });
 }
 
+// Both formula blocks with the current coefficients. MathJax is slow, so
+// slider drags are coalesced and renders run one after another.
+function scheduleFormulas() {
+  clearTimeout(formulaTimer);
+  formulaTimer = setTimeout(() => {
+    formulaQueue = formulaQueue.then(renderFormulas);
+  }, FORMULA_DELAY_MS);
+}
+
+async function renderFormulas() {
+  if (!payloadFormulas) return;
+  try {
+    await waitForMathJax();
+    const formulas = formulasFor(payloadFormulas, riskModel);
+    await drawFormulas(formulas);                 // sidebar (quick view)
+    await renderDetailedFormulas(formulas);       // writeup card (full view)
+  } catch (e) {
+    console.error("[risk_profile] error rendering formulas:", e);
+  }
+}
+
 // Sidebar: only the essential formulas
 async function drawFormulas(formulas) {
   // Remove any existing box
@@ -624,50 +1106,116 @@ async function renderDetailedFormulas(formulas) {
       li.textContent = text;
       ulNotes.appendChild(li);
     }
+    const decay = formulas.decay_blend || {};
     const li = document.createElement("li");
     li.textContent =
-    "Here w = 0.5, w ∈ [0, 1] controls how much weight we give to past, decayed risk " +
+    `Here w = ${decay.blend_prev_weight ?? 0.5}, w ∈ [0, 1] controls how much weight we give to past, decayed risk ` +
     "versus the current year (w = 0 → only this year, w = 1 → only history).";
     ulNotes.appendChild(li);
+    if (decay.half_life_years != null) {
+      const hl = document.createElement("li");
+      hl.textContent =
+      `The half-life is h = ${decay.half_life_years} (α = ${decay.alpha}): a past year's share of the ` +
+      "cumulative term halves every h years with events (the recurrence steps over event years).";
+      ulNotes.appendChild(hl);
+    }
     container.appendChild(ulNotes);
   }
 }
 
 
-/** ---------- YEAR CHANGES ---------- **/
-function hookYearChanges() {
-  if (YEAR_SLIDER) {
-    YEAR_SLIDER.addEventListener("input", () => {
-      const y = getSliderYear();
-      shadePrefectures(y);
+/** ---------- APP STATE (year + selection) ---------- **/
+function clearDetail() {
+  DETAIL_TITLE.text(DETAIL_PROMPT);
+  DETAIL_SVG.selectAll("*").remove();
+  DETAIL_SUMMARY.text("");
+}
+
+// Selected prefecture comes from appState, not from the detail title text
+function selectedPrefName() {
+  const p = appState.prefecture;
+  return p ? (p.norm || p.name) : null;
+}
+
+// The detail panel belongs to detail_compare.js while a comparison is open
+function refreshDetail() {
+  if (appState.comparison.length) return;
+  const pref = selectedPrefName();
+  if (pref) renderDetail(pref);
+  else clearDetail();
+}
+
+function hookAppState() {
+  appState
+    .on("yearchange.risk", ({ year }) => {
+      currentYear = year;
+      // Per-year classes follow the selected year
+      if (appState.classification === "year-quantile") {
+        rebuildColorScale(false);
+        drawLegend();
+      }
+      shadePrefectures(year);
       // keep detail in sync
-      const title = DETAIL_TITLE.text();
-      const pref = title.split(" — ")[0];
-      if (pref && pref !== "Click a prefecture to explore its profile") renderDetail(pref);
+      refreshDetail();
+    })
+    .on("prefectureselect.risk", () => {
+      refreshDetail();
+      markSelectedGroup();
+    })
+    .on("aggregationchange.risk", () => {
+      shadePrefectures(currentYear);
+      drawLegend();
+      refreshDetail();
+    })
+    .on("comparisonchange.risk", ({ comparison }) => {
+      if (!comparison.length) refreshDetail();
+    })
+    .on("colormodechange.risk", ({ colorMode }) => {
+      syncColorControls();
+      // Dot colors and change figures in the detail chart follow the mode
+      refreshDetail();
+      if (!RISK_COLOR_MODES.has(colorMode)) {
+        drawClassLabel();
+        return;
+      }
+      shadePrefectures(currentYear);
+      drawLegend();
+    })
+    .on("changebaselinechange.risk", () => {
+      syncColorControls();
+      if (appState.colorMode !== "change") return;
+      shadePrefectures(currentYear);
+      drawLegend();
+      refreshDetail();
+    })
+    .on("classificationchange.risk", ({ classification }) => {
+      CLASS_SELECT.property("value", classification);
+      rebuildColorScale();
+      shadePrefectures(currentYear);
+      drawLegend();
+      refreshDetail();
+    })
+    .on("riskmodelchange.risk", applyRiskModel);
+  BASELINE_TOGGLE.on("change", refreshDetail);
+  CLASS_SELECT
+    .property("value", appState.classification)
+    .on("change", () => appState.setClassification(CLASS_SELECT.property("value"), "classification"));
+  CHANGE_SELECT.on("change", () => appState.setChangeBaseline({ mode: CHANGE_SELECT.property("value") }, "changebaseline"));
+  CHANGE_YEAR
+    .attr("min", yearsDomain[0])
+    .attr("max", yearsDomain[1])
+    .on("change", () => {
+      const year = Math.round(+CHANGE_YEAR.property("value"));
+      if (!Number.isFinite(year)) return syncColorControls();
+      appState.setChangeBaseline({ mode: "year", year: Math.max(yearsDomain[0], Math.min(yearsDomain[1], year)) }, "changebaseline");
+      syncColorControls(); // show the clamped year
     });
-  }
-  // polling to catch autoplay
-  let lastYear = getSliderYear();
-  setInterval(() => {
-    const y = getSliderYear();
-    if (y !== lastYear) {
-      lastYear = y;
-      shadePrefectures(y);
-      const title = DETAIL_TITLE.text();
-      const pref = title.split(" — ")[0];
-      if (pref && pref !== "Click a prefecture to explore its profile") renderDetail(pref);
-    }
-    // keep points above polygons during autoplay
-    const g = d3.select("g.map-group");
-    const points = g.select("g.points");
-    if (!points.empty()) points.raise();
-  }, 180);
+  syncColorControls();
 }
 
 /** ---------- HOVER HANDLERS (preserve risk colors) ---------- **/
 function bindHoverHandlers() {
-  const g = d3.select("g.map-group");
-  g.selectAll("path.prefecture")
+  mapCtx.prefectures
     .on("mouseover.risk", function (event, d) {
       const currentFill = d3.select(this).attr('fill');
       // Store original fill for restoration
@@ -697,21 +1245,31 @@ function bindHoverHandlers() {
     });
 }
 
-/** ---------- CLICK BIND (after map is ready) ---------- **/
-function bindClicks() {
-  const g = d3.select("g.map-group");
-  g.selectAll("path.prefecture").on("click.risk", function (event, d) {
-    const p = d?.properties || {};
-    const raw = p.name_en || p.NAME_1 || p.name || p.prefecture || p.pref_name || p.N03_001 || p.N03_004 || "";
-    renderDetail(raw || p.__prefNorm || "Prefecture");
-  });
-}
-
 /** ---------- INIT ---------- **/
 (async function init() {
   try {
+    // Region key, population and event ids for the aggregation selector;
+    // the map works at prefecture level without them
+    const aggregationData = Promise.all([loadPrefectureRegions(), loadPopulation(), loadEventIds()])
+      .catch(err => {
+        console.warn("[risk_profile] region / population / event data unavailable; aggregation disabled", err);
+        return [null, null, null];
+      });
+
     await loadAll();
-    const g = await waitForMapReady(); // ensure paths exist
+    mapCtx = await whenMapReady(); // shared projection + prefecture paths
+    [regions, populationOf, eventIdsOf] = await aggregationData;
+
+    // Weights restored from the URL: start from the recomputed table
+    const model = appState.riskModel;
+    if (!isDefaultRiskModel(model)) {
+      try {
+        setRiskTable(await rowsForModel(model));
+        riskModel = model;
+      } catch (err) {
+        console.error("[risk_profile] could not recompute the risk index; showing the published one", err);
+      }
+    }
 
     // Spot-check a few keys exist in the map
     ["Tokyo","Osaka","Hokkaido","Okinawa","Aichi"].forEach(p => {
@@ -720,7 +1278,7 @@ function bindClicks() {
     });
 
 
-    g.selectAll("path.prefecture").each(function(d) {
+    mapCtx.prefectures.each(function(d) {
         const props = d?.properties || {};
         const r = resolvePrefectureNameFromProps(props);
 
@@ -741,7 +1299,7 @@ function bindClicks() {
     (function () {
         let empty = 0;
         const sample = [];
-        d3.select("g.map-group").selectAll("path.prefecture").each(function(d) {
+        mapCtx.prefectures.each(function(d) {
             const norm = d?.properties?.__prefNorm || "";
             if (!norm) empty++;
             else if (sample.length < 6) sample.push(norm);
@@ -750,15 +1308,25 @@ function bindClicks() {
         console.debug("[risk_profile] sample stamped norms:", sample);
     })();
 
-    // First draw
+    resolveRiskReady(getRiskData());
+
+    // First draw (the year may already have moved while data was loading)
+    currentYear = appState.year;
+    rebuildColorScale(false);
     shadePrefectures(currentYear);
     drawLegend();
 
+    // follow year changes and prefecture selections
+    hookAppState();
+    if (selectedPrefName()) refreshDetail();
+    // Weights moved while the data was loading
+    if (!sameRiskModel(appState.riskModel, riskModel)) applyRiskModel();
+
     // Quick sanity log: how many joins succeeded for the initial year?
     (function () {
     const y = currentYear;
     let have = 0, total = 0;
-    d3.select("g.map-group").selectAll("path.prefecture").each(function(d) {
+    mapCtx.prefectures.each(function(d) {
         total += 1;
         const norm = d?.properties?.__prefNorm || "";
         if (riskByPrefYear.has(`${norm}::${y}`)) have += 1;
@@ -766,26 +1334,22 @@ function bindClicks() {
     console.log(`[risk_profile] year ${y}: ${have}/${total} prefectures joined`);
     })();
 
-    // formulas come from JSON
+    // formulas come from JSON, rewritten with the current coefficients
     try {
       const j = await d3.json(JSON_URL);
-      await waitForMathJax();                 // <-- ensure MathJax is ready
-      const formulas = j?.formulas || {};
-      await drawFormulas(formulas);                 // sidebar (quick view)
-      await renderDetailedFormulas(formulas);       // writeup card (full view)
+      payloadFormulas = j?.formulas || {};
+      formulaQueue = formulaQueue.then(renderFormulas);
+      await formulaQueue;
     } catch (e) {
       console.error("[risk_profile] error loading formulas JSON:", e);
     }
 
-    // bind clicks and year changes
-    bindClicks();
-    hookYearChanges();
-
     // ensure points on top now
-    const points = g.select("g.points");
-    if (!points.empty()) points.raise();
+    mapCtx.layer("points").raise();
 
   } catch (err) {
     console.error("[risk_profile_layer] init error:", err);
+    // No-op once resolved; otherwise lets waiting modules run their error paths
+    rejectRiskReady(err);
   }
 })();
\ No newline at end of file
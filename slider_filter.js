@@ -1,54 +1,24 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
-
-let disasters = ['drought', 'earthquake', 'extreme temperature', 'flood', 'landslide', 'storm', 'volcanic activity'];
-
-const opts = {
-    clipBottomPercent: 10,
-    postClipWidth: "60%",
-  };
-
-const containerSelector = opts.selector || '#map'; // default to #map
-const svg = d3.select(containerSelector);
-
-const width = opts.width || 900;
-const height = opts.height || 700;
-
-const g = d3.select("g.map-group");
+import { whenMapReady } from "./map_context.js";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS, idToCanonical, paletteDefault, paletteFor } from "./hazards.js";
+import { loadDisasterEvents } from "./event_data.js";
+import { FIRST_YEAR, visibleEvents, visibleYearSpan as yearSpanFor } from "./event_filters.js";
+import {
+  CLUSTER_RADIUS, clusterBadgeRadius, clusterPoints, drawMarkerLegend, hazardMix,
+  markerRadius, metricValue, sizeScale, spiderOffsets,
+} from "./marker_encoding.js";
+import { announce } from "./live_region.js";
+
+// Projection, path and layers come from the rendered map (see map_context.js)
+const mapCtx = await whenMapReady();
 
 const tip = d3.select('.d3-tooltip');
 
-// --- DISASTER COLOR PALETTES (SWAPPABLE) ---
-const DISASTER_KEYS = [
-  'drought','earthquake','extreme temperature','flood',
-  'landslide','storm','volcanic activity'
-];
-
-const disasterData = await d3.csv('./data/gdis_emdat_japan_prefecture_merged_enh.csv');
-let year = 1960;
+const disasterData = await loadDisasterEvents();
+let year = appState.year;
 let isInitialLoad = true; // Flag to track if this is the first render
 
-const paletteDefault = {
-  'drought': '#4E79A7',
-  'earthquake': '#F28E2B',
-  'extreme temperature': '#E15759',
-  'flood': '#76B7B2',
-  'landslide': '#59A14F',
-  'storm': '#EDC948',
-  'volcanic activity': '#AF7AA1'
-};
-
-// High-contrast preset
-
-const paletteHighContrast = {
-  "drought":            '#0072B2', // blue
-  "earthquake":         '#009E73', // green
-  "extreme temperature":'#FF7F00', // gold yellow (never greys)
-  "flood":              '#56B4E9', // light blue
-  "landslide":          '#F0E442', // lemon yellow
-  "storm":              '#CC79A7', // magenta
-  "volcanic activity":  '#76B7B2'  // teal
-};
-
 // Active palette (start with default)
 let ACTIVE_PALETTE = { ...paletteDefault };
 
@@ -57,22 +27,14 @@ function disasterColor(key) {
   return ACTIVE_PALETTE[key] || '#889';
 }
 
-function idToCanonical(id) {
-  if (id === 'ExtremeTemperature') return 'extreme temperature';
-  if (id === 'VolcanicActivity')  return 'volcanic activity';
-  return id.toLowerCase();
-}
-
 // After the map layers exist, we’ll wire these up:
-const activeDisasters = new Set(DISASTER_KEYS);
+// Start from a filter restored into appState (e.g. from the URL) if there is one
+const activeDisasters = new Set(appState.activeDisasters || DISASTER_KEYS);
+// Subtype / severity filter from the "More filters" panel
+let eventFilter = appState.eventFilter;
 
 // ----------------- MAP LAYERS -----------------
-//const gBasemap = root.selectAll('g.basemap').data([null]).join('g').attr('class', 'basemap');
-const mapGroup = d3.select('g.map-group');
-const gPoints  = mapGroup.selectAll('g.points')
-  .data([null])
-  .join('g')
-  .attr('class', 'points');
+const gPoints = mapCtx.layer('points');
 
 // Colorize the checkbox squares to match the palette
 function colorizeCheckboxes() {
@@ -90,21 +52,6 @@ function colorizeCheckboxes() {
   });
 }
 
-// Load Japan prefectures GeoJSON from the specified URL
-const japanPrefecturesUrl = 'https://raw.githubusercontent.com/dataofjapan/land/master/japan.geojson';
-  
-let japanGeo = null;
-try {
-    japanGeo = await d3.json(japanPrefecturesUrl);
-    if (!japanGeo || !japanGeo.features || japanGeo.features.length === 0) {
-      throw new Error('Japan prefectures GeoJSON is empty or invalid');
-    }
-    console.log(`Loaded Japan prefectures GeoJSON with ${japanGeo.features.length} prefectures`);
-} catch (err) {
-    console.error('Failed to load Japan prefectures GeoJSON:', err);
-    svg.append('text').attr('x', 20).attr('y', 40).text('Failed to load Japan GeoJSON. See console.');
-}
-
 //assign color
 //const color = d3.scaleOrdinal().domain(disasters)
 //.range(d3.schemeTableau10); 
@@ -125,68 +72,271 @@ try {
 //   });
 // });
 
-// projection + path. Use fitSize to compute a scale that fits the features
-const projection = d3.geoMercator();
-const path = d3.geoPath().projection(projection);
+// ----------------- TIME WINDOW (single year / range / cumulative) -----------------
+const YEAR_MIN = FIRST_YEAR;
+const AGE_FADE_YEARS = 10; // cumulative mode: points older than this sit at the minimum opacity
+let timeWindow = appState.timeWindow;
+let autoplay = false;
+let autoplaySpan = 1; // range width (years) kept while autoplay slides the window
+
+// [start, end] of the years whose events are drawn; end is always the selected year
+function visibleYearSpan(year) {
+  return yearSpanFor(year, timeWindow);
+}
+
+// During autoplay, points from earlier years fade by age so the newest stand out
+function pointOpacity(d) {
+  const [start, end] = visibleYearSpan(year);
+  if (!autoplay || start === end) return 0.9;
+  const age = end - (+d.year);
+  const span = (timeWindow.mode === 'cumulative') ? AGE_FADE_YEARS : (end - start + 1);
+  return 0.9 * Math.max(0.15, 1 - age / span);
+}
+
+// ----------------- MARKER ENCODING (size metric + clustering) -----------------
+let sizeMetric = 'none';
+let clusterMarkers = false;
+let markerScale = null;  // sqrt scale for sizeMetric, null in fixed-size mode
+let spiderAnchor = null; // key of the cluster currently fanned out, if any
+
+const zoomLevel = () => (appState.view && appState.view.zoom) || 1;
+
+// One key per event row (the row index from event_data.js); disno, hazard,
+// place and year together still collide for a few rows
+const pointKey = d => String(d.__row);
+
+// Fixed-size markers keep growing with the map as before; sized markers are
+// held at screen size so they stay comparable with the legend while zoomed
+function pointRadius(d) {
+  const r = markerRadius(d, sizeMetric, markerScale);
+  return markerScale ? r / zoomLevel() : r;
+}
+
+// Positions for every visible event, plus the clusters that replace them.
+// Clustering runs in screen space, so zooming in splits clusters apart.
+function layoutMarkers(rows) {
+  const k = zoomLevel();
+  const items = rows.map(d => {
+    const [x, y] = mapCtx.project([+d.longitude, +d.latitude]);
+    return { x, y, d };
+  });
+  const pos = new Map(items.map(it => [pointKey(it.d), { x: it.x, y: it.y, hidden: false }]));
+  const clusterOf = new Map(); // point key → key of the cluster it was folded into
+  if (!clusterMarkers) return { pos, clusters: [], clusterOf };
+
+  // The most severe event anchors each cluster
+  const rank = (sizeMetric === 'none') ? 'deaths' : sizeMetric;
+  items.sort((a, b) => metricValue(b.d, rank) - metricValue(a.d, rank));
+  const clusters = clusterPoints(items, CLUSTER_RADIUS / k).filter(c => c.members.length > 1);
+
+  for (const c of clusters) {
+    c.key = pointKey(c.members[0].d);
+    c.spider = (c.key === spiderAnchor);
+    const offsets = c.spider ? spiderOffsets(c.members.length, clusterBadgeRadius(c.members.length)) : null;
+    c.members.forEach((m, i) => {
+      const p = pos.get(pointKey(m.d));
+      clusterOf.set(pointKey(m.d), c.key);
+      if (c.spider) {
+        p.x = c.x + offsets[i][0] / k;
+        p.y = c.y + offsets[i][1] / k;
+      } else {
+        p.hidden = true;
+      }
+    });
+  }
+  if (spiderAnchor && !clusters.some(c => c.spider)) spiderAnchor = null;
+  return { pos, clusters, clusterOf };
+}
+
+function renderClusters(clusters, pos) {
+  const k = zoomLevel();
+  const fmt = new Intl.NumberFormat();
+
+  // Spider legs sit under the points, badges above them
+  const legLayer = gPoints.selectAll('g.spider-legs').data([null]).join('g').attr('class', 'spider-legs').lower();
+  const badgeLayer = gPoints.selectAll('g.disaster-clusters').data([null]).join('g').attr('class', 'disaster-clusters').raise();
+
+  const spider = clusters.find(c => c.spider);
+  legLayer.selectAll('line.spider-leg')
+    .data(spider ? spider.members.map(m => ({ c: spider, d: m.d })) : [])
+    .join('line')
+    .attr('class', 'spider-leg')
+    .attr('x1', l => l.c.x)
+    .attr('y1', l => l.c.y)
+    .attr('x2', l => pos.get(pointKey(l.d)).x)
+    .attr('y2', l => pos.get(pointKey(l.d)).y);
+
+  const arc = d3.arc();
+  const pie = d3.pie().sort(null).value(m => m.count);
+
+  const badges = badgeLayer.selectAll('g.disaster-cluster')
+    .data(clusters, c => c.key)
+    .join('g')
+    .attr('class', 'disaster-cluster')
+    .classed('spiderfied', c => c.spider)
+    .attr('transform', c => `translate(${c.x},${c.y}) scale(${1 / k})`)
+    .style('cursor', 'pointer');
+
+  badges.each(function (c) {
+    const g = d3.select(this);
+    const n = c.members.length;
+    const r = clusterBadgeRadius(n);
+    const mix = hazardMix(c.members.map(m => m.d));
+    g.selectAll('*').remove();
+    g.append('circle').attr('class', 'cluster-core').attr('r', r);
+    g.selectAll('path.cluster-mix')
+      .data(pie(mix))
+      .join('path')
+      .attr('class', 'cluster-mix')
+      .attr('d', a => arc({ ...a, innerRadius: r - 3, outerRadius: r }))
+      .attr('fill', a => disasterColor(a.data.key));
+    g.append('text').attr('class', 'cluster-count').attr('dy', '0.35em').text(n);
+  });
+
+  badges
+    .on('mouseover', function (event, c) {
+      const mix = hazardMix(c.members.map(m => m.d));
+      tip.style('display', 'block').html(`
+        <strong>${fmt.format(c.members.length)} overlapping events</strong><br/>
+        ${mix.map(m => `${m.key}: ${fmt.format(m.count)}`).join('<br/>')}<br/>
+        <em>${c.spider ? 'Click to collapse' : 'Click to expand'}</em>
+      `);
+    })
+    .on('mousemove', function (event) {
+      tip.style('left', (event.pageX + 12) + 'px').style('top', (event.pageY + 12) + 'px');
+    })
+    .on('mouseout', function () {
+      tip.style('display', 'none');
+    })
+    .on('click', function (event, c) {
+      event.stopPropagation();
+      spiderAnchor = c.spider ? null : c.key;
+      tip.style('display', 'none');
+      renderDisasterPoints(year);
+    });
+}
+
+// ----------------- FOCUSED EVENT (search results, table rows) -----------------
+let focusedEvent = appState.focusedEvent;
+let focusTipOpen = false; // tooltip currently shows the focused event, not a hover
+let lastLayout = { pos: new Map(), clusters: [], clusterOf: new Map() };
+
+// Pin the point tooltip next to the focused event's marker
+function showFocusedTooltip() {
+  if (!focusedEvent || !focusTipOpen) return;
+  const node = gPoints.selectAll('circle.disaster-point').filter(d => d === focusedEvent).node();
+  if (!node) return;
+  const rect = node.getBoundingClientRect();
+  tip.style('display', 'block').html(pointTooltipHtml(focusedEvent))
+    .style('left', (rect.right + window.scrollX + 8) + 'px')
+    .style('top', (rect.top + window.scrollY + 8) + 'px');
+  announce(tip.node().textContent);
+}
+
+function revealFocusedEvent() {
+  gPoints.selectAll('circle.disaster-point').classed('focused', d => d === focusedEvent);
+  focusTipOpen = !!focusedEvent;
+  if (!focusedEvent) {
+    tip.style('display', 'none');
+    return;
+  }
+  // A focused event folded into a cluster is fanned out so it can be seen
+  const cluster = lastLayout.clusterOf.get(pointKey(focusedEvent));
+  if (cluster && cluster !== spiderAnchor) {
+    spiderAnchor = cluster;
+    renderDisasterPoints(year);
+  }
+  showFocusedTooltip();
+}
+
+function renderMarkerLegend() {
+  drawMarkerLegend(mapCtx.svg, {
+    metric: sizeMetric,
+    scale: markerScale,
+    width: mapCtx.width,
+    height: mapCtx.visibleHeight,
+    clustered: clusterMarkers,
+  });
+}
 
-// fit the projection to the features
-try {
-    projection.fitSize([width, height], japanGeo);
-} catch (e) {
-    console.warn('fitSize failed, using default translate/scale', e.message);
-    projection.scale(2000).center([138, 36.5]).translate([width / 2, height / 2]);
+// Tooltip body for one event (hover, or a focused search/table result)
+function pointTooltipHtml(d) {
+  // format numbers for readability
+  const fmt = new Intl.NumberFormat();
+  const fmtCurrency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+  const deaths = d.deaths ?? d.death ?? '';
+  const affected = d.affected ?? d.total_affected ?? d.affect ?? '';
+  const injured = d.injured ?? '';
+  const homeless = d.homeless ?? '';
+  const damageUsd = (d.damage_final_usd ?? d.damage_final) ?? d.damage_adj_usd ?? '';
+
+  const tooltipText = `
+    <strong>${d.disaster_type_gdis || 'Disaster'}</strong><br/>
+    Location: ${d.location_str || 'Unknown'}<br/>
+    Prefecture: ${d.prefecture || 'Unknown'}<br/>
+    Year: ${d.year || 'Unknown'}<br/>
+    Affected: ${affected !== '' ? fmt.format(Number(affected)) : 'N/A'}<br/>
+    Injured: ${injured !== '' ? fmt.format(Number(injured)) : 'N/A'}<br/>
+    Homeless: ${homeless !== '' ? fmt.format(Number(homeless)) : 'N/A'}<br/>
+    Deaths: ${deaths !== '' ? fmt.format(Number(deaths)) : 'N/A'}<br/>
+    Damage (USD): ${damageUsd !== '' ? fmtCurrency.format(Number(damageUsd)) : 'N/A'}
+  `;
+  return tooltipText;
 }
 
 function renderDisasterPoints(year) {
   try {
-    // Filter out rows with missing coordinates
-    const validData = disasterData.filter(d =>
-      d.latitude && d.longitude &&
-      !isNaN(+d.latitude) && !isNaN(+d.longitude) &&
-      +d.year === +year &&
-      activeDisasters.has(d.disaster_type_gdis)
-    );
+    // Same selection as the event table (see event_filters.js), minus rows
+    // that fall outside the projection
+    const validData = visibleEvents(disasterData, { year, timeWindow, activeDisasters, eventFilter })
+      .filter(d => mapCtx.project([+d.longitude, +d.latitude]));
 
     console.log(`Loaded ${validData.length} disaster events with valid coordinates`);
 
-    // --- KEYED JOIN (no pre-remove) for smooth enter/exit transitions ---
-    const keyFn = d =>
-      `${d.disaster_type_gdis}|${(+d.longitude).toFixed(3)},${(+d.latitude).toFixed(3)}|${d.year}`;
+    lastLayout = layoutMarkers(validData);
+    const { pos, clusters } = lastLayout;
+    const px = d => pos.get(pointKey(d)).x;
+    const py = d => pos.get(pointKey(d)).y;
 
+    // --- KEYED JOIN (no pre-remove) for smooth enter/exit transitions ---
     const dots = gPoints
       .selectAll('circle.disaster-point')
-      .data(validData, keyFn);
+      .data(validData, pointKey);
 
     // ENTER: immediate display on initial load, transition on subsequent loads
     const dotsEnter = dots.enter()
       .append('circle')
       .attr('class', 'disaster-point')
-      .attr('cx', d => projection([+d.longitude, +d.latitude])[0])
-      .attr('cy', d => projection([+d.longitude, +d.latitude])[1])
-      .attr('r', isInitialLoad ? 3.5 : 0)
+      .attr('cx', px)
+      .attr('cy', py)
+      .attr('r', d => isInitialLoad ? pointRadius(d) : 0)
       .attr('fill', d => disasterColor(d.disaster_type_gdis))
       .attr('stroke', d => d3.color(disasterColor(d.disaster_type_gdis)).darker(1))
       .attr('stroke', '#FFFFFF')
       .attr('stroke-width', 0.6)
-      .attr('opacity', isInitialLoad ? 0.9 : 0)
+      .attr('opacity', d => isInitialLoad ? pointOpacity(d) : 0)
       .style('cursor', 'pointer');
 
     // Apply transition only if not initial load
     if (!isInitialLoad) {
       dotsEnter.transition().duration(380)
-        .attr('opacity', 0.9)
-        .attr('r', 3.5);
+        .attr('opacity', pointOpacity)
+        .attr('r', pointRadius);
     }
 
-    // UPDATE: gently move/recolor if needed
+    // UPDATE: gently move/recolor/resize if needed
     dots.transition().duration(320)
-      .attr('cx', d => projection([+d.longitude, +d.latitude])[0])
-      .attr('cy', d => projection([+d.longitude, +d.latitude])[1])
+      .attr('cx', px)
+      .attr('cy', py)
+      .attr('r', pointRadius)
       .attr('fill', d => disasterColor(d.disaster_type_gdis))
-      .attr('stroke', d => d3.color(disasterColor(d.disaster_type_gdis)).darker(1));
+      .attr('stroke', d => d3.color(disasterColor(d.disaster_type_gdis)).darker(1))
+      .attr('opacity', pointOpacity);
 
-    // EXIT: fade + shrink
+    // EXIT: fade + shrink. Drop the class first so readers of the point
+    // layer (e.g. the prefecture tooltip totals) skip circles on their way out
     dots.exit()
+      .attr('class', 'disaster-point-exit')
       .transition().duration(280)
       .attr('opacity', 0)
       .attr('r', 0)
@@ -194,39 +344,37 @@ function renderDisasterPoints(year) {
 
     // (Re)attach hover handlers on the merged selection
     const merged = dotsEnter.merge(dots);
+    // Clustered events stay in the DOM (the prefecture tooltip totals read
+    // their data) but are hidden behind their cluster badge
+    merged.classed('clustered', d => pos.get(pointKey(d)).hidden);
+    merged.classed('focused', d => d === focusedEvent);
+    // Largest markers underneath so small ones stay hoverable
+    if (markerScale) merged.sort((a, b) => metricValue(b, sizeMetric) - metricValue(a, sizeMetric));
+
     merged
       .on('mouseover', function (event, d) {
-        d3.select(this).transition().duration(120).attr('r', 5).attr('opacity', 1);
-        // format numbers for readability
-        const fmt = new Intl.NumberFormat();
-        const fmtCurrency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
-        const deaths = d.deaths ?? d.death ?? '';
-        const affected = d.affected ?? d.total_affected ?? d.affect ?? '';
-        const injured = d.injured ?? '';
-        const homeless = d.homeless ?? '';
-        const damageUsd = (d.damage_final_usd ?? d.damage_final) ?? d.damage_adj_usd ?? '';
-
-        const tooltipText = `
-          <strong>${d.disaster_type_gdis || 'Disaster'}</strong><br/>
-          Location: ${d.location_str || 'Unknown'}<br/>
-          Prefecture: ${d.prefecture || 'Unknown'}<br/>
-          Year: ${d.year || 'Unknown'}<br/>
-          Affected: ${affected !== '' ? fmt.format(Number(affected)) : 'N/A'}<br/>
-          Injured: ${injured !== '' ? fmt.format(Number(injured)) : 'N/A'}<br/>
-          Homeless: ${homeless !== '' ? fmt.format(Number(homeless)) : 'N/A'}<br/>
-          Deaths: ${deaths !== '' ? fmt.format(Number(deaths)) : 'N/A'}<br/>
-          Damage (USD): ${damageUsd !== '' ? fmtCurrency.format(Number(damageUsd)) : 'N/A'}
-        `;
-        tip.style('display', 'block').html(tooltipText);
+        focusTipOpen = false;
+        d3.select(this).transition().duration(120).attr('r', pointRadius(d) * 1.4).attr('opacity', 1);
+        tip.style('display', 'block').html(pointTooltipHtml(d));
+        announce(tip.node().textContent);
       })
       .on('mousemove', function (event) {
         tip.style('left', (event.pageX + 12) + 'px').style('top', (event.pageY + 12) + 'px');
       })
       .on('mouseout', function () {
-        d3.select(this).transition().duration(120).attr('r', 3.5).attr('opacity', 0.9);
+        focusTipOpen = false;
+        d3.select(this).transition().duration(120).attr('r', pointRadius).attr('opacity', pointOpacity);
         tip.style('display', 'none');
+      })
+      // Clicking a point focuses it (the event table scrolls to its row); the
+      // camera stays put since the point is already under the pointer
+      .on('click', function (event, d) {
+        event.stopPropagation();
+        appState.focusEvent(d, 'map');
       });
 
+    renderClusters(clusters, pos);
+
     // Mark initial load as complete
     if (isInitialLoad) {
       isInitialLoad = false;
@@ -239,14 +387,13 @@ function renderDisasterPoints(year) {
 }
 
 
+// Checkboxes only publish; the filterchange listener below does the redraw
 function syncFromCheckboxes() {
-  activeDisasters.clear();
+  const keys = [];
   document.querySelectorAll('.disaster-item input').forEach(input => {
-    const key = idToCanonical(input.id);
-    if (input.checked) activeDisasters.add(key);
+    if (input.checked) keys.push(idToCanonical(input.id));
   });
-  colorizeCheckboxes();
-  renderDisasterPoints(year);
+  appState.setActiveDisasters(keys, 'checkbox');
 }
 
 document.querySelectorAll('.disaster-item input').forEach(input => {
@@ -254,6 +401,8 @@ document.querySelectorAll('.disaster-item input').forEach(input => {
 });
 
 function autoplayYears() {
+    const [spanStart, spanEnd] = visibleYearSpan(year);
+    autoplaySpan = spanEnd - spanStart + 1;
     let forward = true;
     if (year == 2018) {
         forward = false;
@@ -267,205 +416,245 @@ function autoplayYears() {
             if (year == 1960) {
                 forward = true;
             }
-            output.innerHTML = "Year: "+year;
-            slider.value = year;
-            renderDisasterPoints(year);
-            // If a pointer position is available, update prefecture tooltip to reflect
-            // whatever the user is currently hovering over (useful during autoplay).
-            try {
-                if (typeof window.__prefShowTooltipAtPointer === 'function') window.__prefShowTooltipAtPointer();
-            } catch (e) {
-                // ignore
-            }
-            if (forward) {
-                year += 1;
-            }
-            else {
-                year -= 1;
-            }
+            // Publishing the year redraws points here and lets the risk layer,
+            // detail panel and prefecture tooltip follow along.
+            appState.setYear(forward ? year + 1 : year - 1, 'autoplay');
             setTimeout(nestedAutoplay, 360)
         }
     }
 }
 
+function stopAutoplay() {
+    autoplay = false;
+    autoplayButton.innerText = 'Play';
+}
+
 // ----------------- PALETTE SWITCHER (now safe to call) -----------------
 window.setDisasterPalette = (which = 'default') => {
-  ACTIVE_PALETTE = (which === 'high') ? { ...paletteHighContrast } : { ...paletteDefault };
-  colorizeCheckboxes();
-  renderDisasterPoints(year);
+  appState.setPalette(which === 'high' ? 'high' : 'default', 'api');
 };
 
-// Initial paint AFTER everything exists:
-colorizeCheckboxes();
-renderDisasterPoints(year);
-// pick whichever you want as default:
-setDisasterPalette('high');
-// setDisasterPalette('default');
-
 
 var slider = document.getElementById("myRange");
 var output = document.getElementById("demo");
-output.innerHTML = "Year: "+slider.value;
+slider.value = year;
+output.innerHTML = "Year: "+year;
 const myTextBox = document.getElementById('myTextBox');
 const myButton = document.getElementById('myButton');
 const prevButton = document.getElementById('prevButton');
 const nextButton = document.getElementById('nextButton');
-let autoplay = false;
 const autoplayButton = document.getElementById('autoplay');
 
-const droughtCheck = document.getElementById('Drought');
-const earthquakeCheck = document.getElementById('Earthquake');
-const tempCheck = document.getElementById('ExtremeTemperature');
-const floodCheck = document.getElementById('Flood');
-const landslideCheck = document.getElementById('Landslide');
-const stormCheck = document.getElementById('Storm');
-const volcanoCheck = document.getElementById('VolcanicActivity');
-
-slider.oninput = function() {
-    autoplay = false;
-    autoplayButton.innerText = 'Play';
-    output.innerHTML = "Year: "+parseInt(this.value);
-    year = parseInt(this.value);
-    renderDisasterPoints(year);
-};
-
-prevButton.addEventListener('click', function() {
-    autoplay = false;
-    autoplayButton.innerText = 'Play';
-    if (year != 1960) {
-        year -= 1;
-        slider.value = year;
-        output.innerHTML = "Year: "+year;
-        renderDisasterPoints(year);
+// ----------------- APP STATE SUBSCRIPTIONS -----------------
+appState.on('yearchange.points', ({ year: y, source }) => {
+    // Any year change that didn't come from autoplay itself stops playback
+    if (source !== 'autoplay') stopAutoplay();
+    year = y;
+    slider.value = year;
+    output.innerHTML = "Year: "+year;
+    if (timeWindow.mode === 'range' && timeWindow.start != null) {
+        // Autoplay slides the whole window; manual changes only keep start <= end
+        const start = (source === 'autoplay')
+            ? Math.max(YEAR_MIN, y - autoplaySpan + 1)
+            : Math.min(timeWindow.start, y);
+        if (start !== timeWindow.start) appState.setTimeWindow({ mode: 'range', start }, source);
     }
+    syncTimeWindowControls();
+    renderDisasterPoints(year);
 });
 
-nextButton.addEventListener('click', function() {
-    autoplay = false;
-    autoplayButton.innerText = 'Play';
-    if (year != 2018) {
-        year += 1;
-        slider.value = year;
-        output.innerHTML = "Year: "+year;
-        renderDisasterPoints(year);
-    }
+appState.on('timewindowchange.points', ({ timeWindow: next, source }) => {
+    timeWindow = next;
+    syncTimeWindowControls();
+    // Autoplay window shifts are drawn by the yearchange listener above
+    if (source !== 'autoplay') renderDisasterPoints(year);
 });
 
-myButton.addEventListener('click', function() {
-    const textValue = parseInt(myTextBox.value);
-    if (!isNaN(textValue) && textValue >= 1960 && textValue <= 2018) {
-        autoplay = false;
-        autoplayButton.innerText = 'Play';
-        slider.value = textValue;
-        output.innerHTML = "Year: "+textValue;
-        year = textValue;
-        renderDisasterPoints(year);
-    }
+appState.on('filterchange.points', ({ activeDisasters: keys }) => {
+    activeDisasters.clear();
+    keys.forEach(k => activeDisasters.add(k));
+    document.querySelectorAll('.disaster-item input').forEach(input => {
+        input.checked = activeDisasters.has(idToCanonical(input.id));
+    });
+    colorizeCheckboxes();
+    renderDisasterPoints(year);
 });
 
-autoplayButton.addEventListener('click', function() {
-    autoplay = !autoplay;
-    if (autoplay) {
-        autoplayYears();
-        autoplayButton.innerText = 'Pause';
-    }
-    else {
-        autoplayButton.innerText = 'Play';
-    }
+appState.on('eventfilterchange.points', ({ eventFilter: next }) => {
+    eventFilter = next;
+    renderDisasterPoints(year);
 });
 
-droughtCheck.addEventListener('click', function() {
-    if (droughtCheck.checked) {
-        disasters.push('drought');
-    }
-    else {
-        var index = disasters.indexOf('drought');
-        if (index !== -1) {
-            disasters.splice(index, 1);
-        }
-    }
+function applyPalette(which) {
+    ACTIVE_PALETTE = paletteFor(which);
+    colorizeCheckboxes();
     renderDisasterPoints(year);
+}
+
+appState.on('palettechange.points', ({ palette }) => applyPalette(palette));
+
+// Initial paint AFTER everything exists:
+document.querySelectorAll('.disaster-item input').forEach(input => {
+    input.checked = activeDisasters.has(idToCanonical(input.id));
 });
+appState.setActiveDisasters(activeDisasters, 'init');
+colorizeCheckboxes();
+renderDisasterPoints(year);
+if (appState.palette) {
+    // A palette was already chosen (e.g. restored from the URL) before we subscribed
+    applyPalette(appState.palette);
+} else {
+    // pick whichever you want as default ('high' or 'default'):
+    appState.setPalette('high', 'init');
+}
 
-earthquakeCheck.addEventListener('click', function() {
-    if (earthquakeCheck.checked) {
-        disasters.push('earthquake');
-    }
-    else {
-        var index = disasters.indexOf('earthquake');
-        if (index !== -1) {
-            disasters.splice(index, 1);
+// ----------------- TIME WINDOW CONTROLS -----------------
+const timeModeSelect = document.getElementById('timeMode');
+const rangeBox = document.getElementById('yearRange');
+const rangeStart = document.getElementById('rangeStart');
+const rangeEnd = document.getElementById('rangeEnd');
+const rangeLabel = document.getElementById('rangeLabel');
+
+function syncTimeWindowControls() {
+    if (!timeModeSelect) return;
+    const [start, end] = visibleYearSpan(year);
+    timeModeSelect.value = timeWindow.mode;
+    rangeBox.hidden = (timeWindow.mode !== 'range');
+    rangeStart.value = start;
+    rangeEnd.value = end;
+    rangeLabel.textContent = (start === end) ? String(end) : `${start}–${end} (${end - start + 1} years)`;
+}
+
+if (timeModeSelect) {
+    timeModeSelect.addEventListener('change', function() {
+        // Entering range mode starts with the decade ending at the selected year
+        const start = timeWindow.start ?? Math.max(YEAR_MIN, year - 9);
+        appState.setTimeWindow({ mode: this.value, start: Math.min(start, year) }, 'timemode');
+    });
+    rangeStart.addEventListener('input', function() {
+        // The start handle can't pass the end (the selected year)
+        const start = Math.min(parseInt(this.value), year);
+        this.value = start;
+        appState.setTimeWindow({ mode: 'range', start }, 'range');
+    });
+    rangeEnd.addEventListener('input', function() {
+        const end = parseInt(this.value);
+        // Dragging the end handle below the start pulls the start along
+        if (timeWindow.start != null && end < timeWindow.start) {
+            appState.setTimeWindow({ mode: 'range', start: end }, 'range');
         }
-    }
-    renderDisasterPoints(year);
+        appState.setYear(end, 'range');
+    });
+}
+syncTimeWindowControls();
+
+// ----------------- DATA DIAGNOSTICS -----------------
+// Hazard labels are canonicalized when the CSV is loaded (event_data.js);
+// anything that couldn't be mapped is listed here rather than dropped unseen.
+function renderDiagnostics(report) {
+    const box = d3.select('#data-diagnostics');
+    if (box.empty() || !report) return;
+    const fmt = new Intl.NumberFormat();
+    const issues = report.unknown.reduce((n, u) => n + u.count, 0);
+
+    box.select('#diagnosticsSummary')
+        .property('hidden', issues === 0)
+        .text(`${fmt.format(issues)} rows skipped`);
+
+    const body = box.select('#diagnosticsBody').html('');
+    body.append('p').text(`${fmt.format(report.total)} event rows loaded; ${fmt.format(report.missingCoords)} have no coordinates and are not mapped.`);
+
+    body.append('p').append('strong').text('Normalized hazard labels');
+    body.append('ul').selectAll('li')
+        .data(report.renamed.length ? report.renamed : [null])
+        .join('li')
+        .text(r => r ? `"${r.raw}" → ${r.key} (${fmt.format(r.count)} rows)` : 'None');
+
+    body.append('p').append('strong').text('Unknown hazard types (not shown on the map)');
+    body.append('ul').selectAll('li')
+        .data(report.unknown.length ? report.unknown : [null])
+        .join('li')
+        .classed('diagnostics-warning', u => !!u)
+        .text(u => u ? `"${u.raw || '(blank)'}" (${fmt.format(u.count)} rows)` : 'None');
+}
+
+renderDiagnostics(disasterData.diagnostics);
+
+// ----------------- MARKER CONTROLS -----------------
+const markerSizeSelect = document.getElementById('markerSize');
+const clusterToggle = document.getElementById('clusterMarkers');
+
+if (markerSizeSelect) {
+    markerSizeSelect.addEventListener('change', function() {
+        sizeMetric = this.value;
+        markerScale = sizeScale(sizeMetric, disasterData);
+        renderMarkerLegend();
+        renderDisasterPoints(year);
+    });
+}
+if (clusterToggle) {
+    clusterToggle.addEventListener('change', function() {
+        clusterMarkers = this.checked;
+        spiderAnchor = null;
+        renderMarkerLegend();
+        renderDisasterPoints(year);
+    });
+}
+
+// Sized markers and clusters depend on the zoom level; re-lay them out once a
+// zoom gesture or camera animation settles
+appState.on('viewchange.points', () => {
+    if (markerScale || clusterMarkers) renderDisasterPoints(year);
+    // The camera has settled on a focused event; move its tooltip there
+    showFocusedTooltip();
 });
 
-tempCheck.addEventListener('click', function() {
-    if (tempCheck.checked) {
-        disasters.push('extreme temperature');
-    }
-    else {
-        var index = disasters.indexOf('extreme temperature');
-        if (index !== -1) {
-            disasters.splice(index, 1);
-        }
-    }
-    renderDisasterPoints(year);
+// The year (and any filters) are set by whoever focuses the event, so the
+// point is already drawn by the time this runs
+appState.on('eventfocus.points', ({ event }) => {
+    focusedEvent = event;
+    revealFocusedEvent();
 });
 
-floodCheck.addEventListener('click', function() {
-    if (floodCheck.checked) {
-        disasters.push('flood');
-    }
-    else {
-        var index = disasters.indexOf('flood');
-        if (index !== -1) {
-            disasters.splice(index, 1);
-        }
+slider.oninput = function() {
+    appState.setYear(parseInt(this.value), 'slider');
+};
+
+prevButton.addEventListener('click', function() {
+    stopAutoplay();
+    if (year != 1960) {
+        appState.setYear(year - 1, 'prev');
     }
-    renderDisasterPoints(year);
 });
 
-landslideCheck.addEventListener('click', function() {
-    if (landslideCheck.checked) {
-        disasters.push('landslide');
-    }
-    else {
-        var index = disasters.indexOf('landslide');
-        if (index !== -1) {
-            disasters.splice(index, 1);
-        }
+nextButton.addEventListener('click', function() {
+    stopAutoplay();
+    if (year != 2018) {
+        appState.setYear(year + 1, 'next');
     }
-    renderDisasterPoints(year);
 });
 
-stormCheck.addEventListener('click', function() {
-    if (stormCheck.checked) {
-        disasters.push('storm');
-    }
-    else {
-        var index = disasters.indexOf('storm');
-        if (index !== -1) {
-            disasters.splice(index, 1);
-        }
+myButton.addEventListener('click', function() {
+    const textValue = parseInt(myTextBox.value);
+    if (!isNaN(textValue) && textValue >= 1960 && textValue <= 2018) {
+        stopAutoplay();
+        appState.setYear(textValue, 'search');
     }
-    renderDisasterPoints(year);
 });
 
-volcanoCheck.addEventListener('click', function() {
-    if (volcanoCheck.checked) {
-        disasters.push('volcanic activity');
+autoplayButton.addEventListener('click', function() {
+    autoplay = !autoplay;
+    if (autoplay) {
+        autoplayYears();
+        autoplayButton.innerText = 'Pause';
     }
     else {
-        var index = disasters.indexOf('volcanic activity');
-        if (index !== -1) {
-            disasters.splice(index, 1);
-        }
+        autoplayButton.innerText = 'Play';
+        renderDisasterPoints(year); // drop the age fade
     }
-    renderDisasterPoints(year);
 });
 
 gPoints.raise();
 
-// Initial render for starting year (1960)
-renderDisasterPoints(year);
\ No newline at end of file
+// Initial render for the starting year
+renderDisasterPoints(year);
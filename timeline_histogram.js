@@ -0,0 +1,171 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { appState } from "./app_state.js";
+import { DISASTER_KEYS, paletteFor } from "./hazards.js";
+import { loadDisasterEvents } from "./event_data.js";
+import { passesEventFilter } from "./event_filters.js";
+
+// timeline_histogram.js
+// Stacked event histogram drawn beneath the year slider: one bar per year,
+// stacked by disaster_type_gdis in the active palette. Bars follow the hazard
+// checkboxes and the "More filters" panel, the current year (and range /
+// cumulative window) is marked, and clicking or dragging across the chart sets
+// the year.
+
+const CONTAINER = d3.select("#timeline-histogram");
+const YEARS = d3.range(1960, 2019);
+const W = 1000;
+const H = 96;
+const margin = { top: 6, right: 8, bottom: 18, left: 30 };
+const innerW = W - margin.left - margin.right;
+const innerH = H - margin.top - margin.bottom;
+
+// Distinct events (disno) per year and hazard; the CSV has one row per location
+function countByYearAndType(rows) {
+  const seen = new Set();
+  const counts = new Map(YEARS.map(y => [y, Object.fromEntries(DISASTER_KEYS.map(k => [k, 0]))]));
+  for (const d of rows) {
+    const y = +d.year;
+    const type = d.disaster_type_gdis;
+    if (!counts.has(y) || !(type in counts.get(y))) continue;
+    const key = `${d.disno}|${type}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    counts.get(y)[type] += 1;
+  }
+  return YEARS.map(year => ({ year, ...counts.get(year) }));
+}
+
+function drawTimeline(rows) {
+  let table = [];
+  // Counts only change with the subtype / severity filter; hazard toggles just
+  // pick which stacked series are drawn
+  function recount() {
+    const f = appState.eventFilter;
+    table = countByYearAndType(rows.filter(d => passesEventFilter(d, f)));
+  }
+
+  CONTAINER.selectAll("*").remove();
+
+  const svg = CONTAINER.append("svg")
+    .attr("class", "timeline-svg")
+    .attr("viewBox", `0 0 ${W} ${H}`)
+    .attr("role", "img")
+    .attr("aria-label", "Number of disaster events per year, stacked by hazard type");
+
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const x = d3.scaleBand().domain(YEARS).range([0, innerW]).paddingInner(0.15);
+  const y = d3.scaleLinear().range([innerH, 0]);
+
+  const gWindow = g.append("g").attr("class", "timeline-window");
+  const gBars = g.append("g").attr("class", "timeline-bars");
+  const gMarker = g.append("g").attr("class", "timeline-marker");
+  const gX = g.append("g").attr("class", "timeline-axis").attr("transform", `translate(0,${innerH})`);
+  const gY = g.append("g").attr("class", "timeline-axis");
+
+  gX.call(d3.axisBottom(x).tickValues(YEARS.filter(yr => yr % 5 === 0)).tickSizeOuter(0));
+
+  // Transparent overlay takes the pointer so bars don't need handlers
+  const overlay = g.append("rect")
+    .attr("class", "timeline-overlay")
+    .attr("width", innerW)
+    .attr("height", innerH + margin.bottom)
+    .attr("fill", "transparent")
+    .style("cursor", "pointer");
+
+  function yearAtPointer(event) {
+    const [mx] = d3.pointer(event, g.node());
+    const i = Math.floor(mx / x.step());
+    return YEARS[Math.max(0, Math.min(YEARS.length - 1, i))];
+  }
+
+  let dragging = false;
+  overlay
+    .on("pointerdown", function (event) {
+      dragging = true;
+      if (this.setPointerCapture && event.pointerId != null) this.setPointerCapture(event.pointerId);
+      appState.setYear(yearAtPointer(event), "timeline");
+    })
+    .on("pointermove", function (event) {
+      if (dragging) appState.setYear(yearAtPointer(event), "timeline");
+    })
+    .on("pointerup pointercancel", function () {
+      dragging = false;
+    });
+
+  function updateBars() {
+    const active = appState.activeDisasters || new Set(DISASTER_KEYS);
+    const keys = DISASTER_KEYS.filter(k => active.has(k));
+    const palette = paletteFor(appState.palette);
+    const series = d3.stack().keys(keys)(table);
+
+    y.domain([0, Math.max(1, d3.max(table, r => d3.sum(keys, k => r[k])))]).nice();
+    gY.call(d3.axisLeft(y).ticks(3).tickSizeOuter(0));
+
+    gBars.selectAll("g.timeline-series")
+      .data(series, s => s.key)
+      .join("g")
+      .attr("class", "timeline-series")
+      .attr("fill", s => palette[s.key] || "#889")
+      .selectAll("rect")
+      .data(s => s.map(seg => Object.assign(seg, { key: s.key })))
+      .join("rect")
+      .attr("x", seg => x(seg.data.year))
+      .attr("width", x.bandwidth())
+      .attr("y", seg => y(seg[1]))
+      .attr("height", seg => Math.max(0, y(seg[0]) - y(seg[1])));
+
+    // One <title> per year column for a quick breakdown on hover
+    overlay.selectAll("title").remove();
+    overlay.append("title").text("Click or drag to choose a year");
+    gBars.selectAll("rect").selectAll("title")
+      .data(seg => [seg])
+      .join("title")
+      .text(seg => {
+        const r = seg.data;
+        const parts = keys.filter(k => r[k] > 0).map(k => `${k} ${r[k]}`);
+        return `${r.year}: ${d3.sum(keys, k => r[k])} events${parts.length ? " (" + parts.join(", ") + ")" : ""}`;
+      });
+  }
+
+  function updateMarker() {
+    const year = appState.year;
+    const tw = appState.timeWindow;
+    const start = (tw.mode === "cumulative") ? YEARS[0]
+      : (tw.mode === "range" && tw.start != null) ? Math.min(tw.start, year)
+      : year;
+
+    gWindow.selectAll("rect")
+      .data(start < year ? [null] : [])
+      .join("rect")
+      .attr("x", x(start))
+      .attr("width", x(year) + x.bandwidth() - x(start))
+      .attr("y", 0)
+      .attr("height", innerH);
+
+    gMarker.selectAll("rect")
+      .data([year])
+      .join("rect")
+      .attr("x", yr => x(yr) - 1)
+      .attr("width", x.bandwidth() + 2)
+      .attr("y", -margin.top + 1)
+      .attr("height", innerH + margin.top - 1);
+  }
+
+  recount();
+  updateBars();
+  updateMarker();
+
+  appState
+    .on("yearchange.timeline", updateMarker)
+    .on("timewindowchange.timeline", updateMarker)
+    .on("filterchange.timeline", updateBars)
+    .on("palettechange.timeline", updateBars)
+    .on("eventfilterchange.timeline", () => { recount(); updateBars(); });
+}
+
+if (!CONTAINER.empty()) {
+  loadDisasterEvents()
+    .then(drawTimeline)
+    .catch(err => console.error("[timeline] failed to load events:", err));
+}
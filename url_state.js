@@ -0,0 +1,224 @@
+import {
+  appState, EVENT_TYPES, COLOR_MODES, AGGREGATIONS, CLASSIFICATIONS, CHANGE_REFERENCE_YEAR, RISK_MODEL_DEFAULTS,
+} from "./app_state.js";
+import { getMapContext } from "./map_context.js";
+import { DISASTER_KEYS } from "./hazards.js";
+
+// url_state.js
+// Keeps the shareable view in the URL hash, e.g.
+//   #year=2011&hazards=earthquake&pref=Miyagi&view=4/612.5/281.9&palette=high
+// - Restored on load: this script runs before the others subscribe, so they
+//   start from the restored year / hazards / palette / prefecture; the camera
+//   is applied by japan_map.js once it has rendered.
+// - Every user-driven change pushes a history entry (coalesced while e.g. the
+//   slider is being dragged), so back/forward steps through earlier views.
+//   Autoplay only replaces the current entry.
+//
+// Params: year, hazards (comma list, "-" for spaces, "none" = empty; omitted
+// = all), pref (prefecture_norm), view (zoom/centerX/centerY in map
+// coordinates), palette (default | high), window (range/<start> or
+// cumulative; omitted = selected year only), color (change | bivariate |
+// region; omitted = risk), change (year/<year> or mean; omitted = previous
+// year),
+// agg (region | island; omitted = prefecture), compare (comma list of
+// prefecture_norm), deaths / human / halflife / blend (risk model; each
+// omitted = its published value, 10 / 0.7 / 3 / 0.5), classes
+// (year-quantile | equal | jenks | continuous; omitted = quantile).
+
+const YEAR_RANGE = [1960, 2018];
+const WRITE_DELAY_MS = 350;
+const REPLACE_ONLY_SOURCES = new Set(["autoplay", "init", "url"]);
+// URL param → appState.riskModel key
+const RISK_MODEL_PARAMS = [["deaths", "deathWeight"], ["human", "humanWeight"], ["halflife", "halfLife"], ["blend", "blendWeight"]];
+
+let applying = false;   // true while we publish restored values (don't echo them back)
+let lastHash = null;    // last hash we wrote, to ignore our own hashchange
+let writeTimer = null;
+let pushPending = false;
+
+function encodeValue(v) {
+  return encodeURIComponent(v).replace(/%2C/g, ",").replace(/%2F/g, "/");
+}
+
+function round(v, digits) {
+  const f = Math.pow(10, digits);
+  return Math.round(v * f) / f;
+}
+
+function serialize() {
+  const parts = [`year=${appState.year}`];
+
+  const active = appState.activeDisasters;
+  if (active && !(active.size === DISASTER_KEYS.length && DISASTER_KEYS.every(k => active.has(k)))) {
+    const keys = DISASTER_KEYS.filter(k => active.has(k)).map(k => k.replace(/ /g, "-"));
+    parts.push(`hazards=${keys.length ? encodeValue(keys.join(",")) : "none"}`);
+  }
+
+  const pref = appState.prefecture;
+  if (pref && (pref.norm || pref.name)) parts.push(`pref=${encodeValue(pref.norm || pref.name)}`);
+
+  const view = appState.view;
+  if (view && view.zoom > 1.001) {
+    parts.push(`view=${round(view.zoom, 2)}/${round(view.center[0], 1)}/${round(view.center[1], 1)}`);
+  }
+
+  if (appState.palette) parts.push(`palette=${encodeValue(appState.palette)}`);
+
+  const tw = appState.timeWindow;
+  if (tw.mode === "range" && tw.start != null) parts.push(`window=range/${tw.start}`);
+  else if (tw.mode === "cumulative") parts.push("window=cumulative");
+
+  if (appState.colorMode !== "risk") parts.push(`color=${encodeValue(appState.colorMode)}`);
+  if (appState.aggregation !== "prefecture") parts.push(`agg=${encodeValue(appState.aggregation)}`);
+  if (appState.classification !== "quantile") parts.push(`classes=${encodeValue(appState.classification)}`);
+
+  const change = appState.changeBaseline;
+  if (change.mode === "year") parts.push(`change=year/${change.year}`);
+  else if (change.mode === "mean") parts.push("change=mean");
+
+  const compared = appState.comparison;
+  if (compared.length) parts.push(`compare=${encodeValue(compared.map(p => p.norm).join(","))}`);
+
+  const model = appState.riskModel;
+  for (const [param, key] of RISK_MODEL_PARAMS) {
+    if (model[key] !== RISK_MODEL_DEFAULTS[key]) parts.push(`${param}=${round(model[key], 2)}`);
+  }
+  return "#" + parts.join("&");
+}
+
+function parse(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const out = {};
+
+  const y = parseInt(params.get("year"), 10);
+  if (Number.isFinite(y) && y >= YEAR_RANGE[0] && y <= YEAR_RANGE[1]) out.year = y;
+
+  if (params.has("hazards")) {
+    const raw = params.get("hazards");
+    out.hazards = (raw === "none" || raw === "") ? [] : raw.split(",")
+      .map(k => k.trim().toLowerCase().replace(/-/g, " "))
+      .filter(k => DISASTER_KEYS.includes(k));
+  }
+
+  const pref = params.get("pref");
+  if (pref) out.pref = pref.trim();
+
+  const view = (params.get("view") || "").split("/").map(Number);
+  if (view.length === 3 && view.every(Number.isFinite)) out.view = { zoom: view[0], center: [view[1], view[2]] };
+
+  const palette = params.get("palette");
+  if (palette === "high" || palette === "default") out.palette = palette;
+
+  const [mode, start] = (params.get("window") || "").split("/");
+  if (mode === "cumulative") out.timeWindow = { mode, start: null };
+  else if (mode === "range" && Number.isFinite(parseInt(start, 10))) out.timeWindow = { mode, start: parseInt(start, 10) };
+
+  const color = params.get("color");
+  if (COLOR_MODES.includes(color)) out.colorMode = color;
+
+  const agg = params.get("agg");
+  if (AGGREGATIONS.includes(agg)) out.aggregation = agg;
+
+  const classes = params.get("classes");
+  if (CLASSIFICATIONS.includes(classes)) out.classification = classes;
+
+  const [changeMode, changeYear] = (params.get("change") || "").split("/");
+  const refYear = parseInt(changeYear, 10);
+  if (changeMode === "mean") out.changeBaseline = { mode: changeMode };
+  else if (changeMode === "year" && refYear >= YEAR_RANGE[0] && refYear <= YEAR_RANGE[1]) out.changeBaseline = { mode: changeMode, year: refYear };
+
+  const compare = params.get("compare");
+  if (compare) out.comparison = compare.split(",").map(s => s.trim()).filter(Boolean).map(norm => ({ norm, name: norm }));
+
+  const model = { ...RISK_MODEL_DEFAULTS };
+  let modelSet = false;
+  for (const [param, key] of RISK_MODEL_PARAMS) {
+    const v = parseFloat(params.get(param));
+    if (Number.isFinite(v)) { model[key] = v; modelSet = true; }
+  }
+  if (modelSet) out.riskModel = model;
+
+  return out;
+}
+
+// Publish parsed values. On the initial load, missing params keep each
+// script's default; when navigating history they reset to the "nothing
+// chosen" view so back/forward reproduces the earlier state exactly.
+function apply(parsed, initial) {
+  applying = true;
+  try {
+    if (parsed.year != null) appState.setYear(parsed.year, "url");
+    else if (!initial) appState.setYear(YEAR_RANGE[0], "url");
+
+    if (parsed.hazards) appState.setActiveDisasters(parsed.hazards, "url");
+    else if (!initial) appState.setActiveDisasters(DISASTER_KEYS, "url");
+
+    if (parsed.palette) appState.setPalette(parsed.palette, "url");
+
+    if (parsed.timeWindow) appState.setTimeWindow(parsed.timeWindow, "url");
+    else if (!initial) appState.setTimeWindow({ mode: "year", start: null }, "url");
+
+    if (parsed.colorMode) appState.setColorMode(parsed.colorMode, "url");
+    else if (!initial) appState.setColorMode("risk", "url");
+
+    if (parsed.aggregation) appState.setAggregation(parsed.aggregation, "url");
+    else if (!initial) appState.setAggregation("prefecture", "url");
+
+    if (parsed.classification) appState.setClassification(parsed.classification, "url");
+    else if (!initial) appState.setClassification("quantile", "url");
+
+    if (parsed.changeBaseline) appState.setChangeBaseline(parsed.changeBaseline, "url");
+    else if (!initial) appState.setChangeBaseline({ mode: "previous", year: CHANGE_REFERENCE_YEAR }, "url");
+
+    if (parsed.comparison) appState.setComparison(parsed.comparison, "url");
+    else if (!initial) appState.setComparison([], "url");
+
+    if (parsed.riskModel) appState.setRiskModel(parsed.riskModel, "url");
+    else if (!initial) appState.setRiskModel(RISK_MODEL_DEFAULTS, "url");
+
+    if (parsed.pref) appState.selectPrefecture({ norm: parsed.pref, name: parsed.pref }, "url");
+    else if (!initial) appState.selectPrefecture(null, "url");
+
+    if (parsed.view) {
+      appState.setView(parsed.view, "url");
+    } else if (!initial) {
+      const ctx = getMapContext();
+      if (ctx) appState.setView({ zoom: 1, center: [ctx.width / 2, ctx.height / 2] }, "url");
+    }
+  } finally {
+    applying = false;
+  }
+}
+
+function scheduleWrite(source) {
+  if (applying) return;
+  if (!REPLACE_ONLY_SOURCES.has(source)) pushPending = true;
+  clearTimeout(writeTimer);
+  writeTimer = setTimeout(() => {
+    const hash = serialize();
+    if (hash !== location.hash) {
+      if (pushPending) history.pushState(null, "", hash);
+      else history.replaceState(null, "", hash);
+    }
+    lastHash = hash;
+    pushPending = false;
+  }, WRITE_DELAY_MS);
+}
+
+function onHistoryNavigation() {
+  if (location.hash === lastHash) return;
+  clearTimeout(writeTimer);
+  pushPending = false;
+  lastHash = location.hash;
+  apply(parse(location.hash), false);
+}
+
+// Restore first, then start listening
+apply(parse(location.hash), true);
+lastHash = location.hash;
+
+for (const type of EVENT_TYPES) {
+  appState.on(`${type}.url`, ({ source }) => scheduleWrite(source));
+}
+window.addEventListener("popstate", onHistoryNavigation);
+window.addEventListener("hashchange", onHistoryNavigation);